@@ -2,24 +2,392 @@ const express = require('express');
 const multer = require('multer');
 const https = require('https');
 const http = require('http');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { execFile, spawn } = require('child_process');
+const { promisify, format: formatLogMessage } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const os = require('os');
 const archiver = require('archiver');
 const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { EventEmitter } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// ============================================
+// LOGS: Uma linha JSON por evento, com request ID e contexto do job
+// ============================================
+// LOG_FORMAT=text mantém a saída legível (desenvolvimento local)
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// { requestId, job } do job em execução; propagado pelas promises e timers criados dentro dele
+const requestContext = new AsyncLocalStorage();
+
+function writeLog(level, message, fields = {}) {
+  const context = requestContext.getStore() || {};
+  const job = context.job;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    requestId: context.requestId,
+    jobId: job ? job.id : undefined,
+    jobType: job ? job.type : undefined,
+    phase: job && job.phase ? job.phase : undefined,
+    ...fields
+  };
+
+  const stream = level === 'info' ? process.stdout : process.stderr;
+  if (LOG_FORMAT === 'text') {
+    const tag = entry.requestId ? `[${entry.requestId}] ` : '';
+    const stack = fields.error && fields.error.stack ? `\n${fields.error.stack}` : '';
+    stream.write(`${tag}${message}${stack}\n`);
+  } else {
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+}
+
+// Mesma assinatura do console; um Error nos argumentos vira o campo "error" (mensagem, código e stack)
+function logWith(level) {
+  return (...args) => {
+    const error = args.find(arg => arg instanceof Error);
+    const message = formatLogMessage(...args.filter(arg => arg !== error));
+    writeLog(level, message, error ? { error: { message: error.message, code: error.code, stack: error.stack } } : {});
+  };
+}
+
+const logger = {
+  info: logWith('info'),
+  warn: logWith('warn'),
+  error: logWith('error'),
+  // Evento com campos estruturados
+  event: (level, message, fields) => writeLog(level, message, fields)
+};
+
+// X-Request-Id do caller (quando válido) ou gerado; devolvido na resposta e registrado ao fechar
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = Date.now();
+  res.on('close', () => {
+    if (req.path === '/health' || req.path === '/metrics') return;
+    logger.event(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+      requestId: req.id,
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  next();
+});
+
 app.use(express.json());
 
+// Limite de entrada: uploads multipart e downloads por URL
+const MAX_INPUT_BYTES = (parseInt(process.env.MAX_INPUT_MB) || 500) * 1024 * 1024;
+// TLS_INSECURE=true desativa a verificação de certificados (apenas para desenvolvimento)
+const TLS_REJECT_UNAUTHORIZED = process.env.TLS_INSECURE !== 'true';
+
 const upload = multer({
   dest: '/tmp/uploads/',
-  limits: { fileSize: 500 * 1024 * 1024 }
+  limits: { fileSize: MAX_INPUT_BYTES }
+});
+
+// ============================================
+// METRICS: Prometheus (GET /metrics, formato texto)
+// ============================================
+// Contadores e histogramas acumulam em memória desde o start; gauges são lidos a cada scrape.
+const METRICS_PREFIX = 'video_normalizer_';
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+const SIZE_RATIO_BUCKETS = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1, 1.5];
+
+const metricRegistry = [];
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function registerMetric(type, name, help, collect) {
+  metricRegistry.push({ type, name: METRICS_PREFIX + name, help, collect });
+}
+
+function createCounter(name, help) {
+  const values = new Map();
+  registerMetric('counter', name, help, (fullName) =>
+    [...values].map(([labels, value]) => `${fullName}${labels} ${value}`));
+  return {
+    inc: (labels = {}, value = 1) => {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + value);
+    }
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  registerMetric('histogram', name, help, (fullName) => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+    ...buckets.map((le, i) => `${fullName}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+    `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+    `${fullName}_sum${formatLabels(labels)} ${sum}`,
+    `${fullName}_count${formatLabels(labels)} ${count}`
+  ]));
+  return {
+    observe: (labels, value) => {
+      const key = formatLabels(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+// read() retorna [{ labels, value }] (pode ser async)
+function createGauge(name, help, read) {
+  registerMetric('gauge', name, help, async (fullName) =>
+    (await read()).map(({ labels = {}, value }) => `${fullName}${formatLabels(labels)} ${value}`));
+}
+
+const httpRequestsTotal = createCounter('http_requests_total', 'HTTP requests by route and status code');
+const jobsTotal = createCounter('jobs_total', 'Finished jobs by type and final status');
+const jobDuration = createHistogram('job_duration_seconds', 'Job run time (excluding queue wait)', DURATION_BUCKETS);
+const jobQueueWait = createHistogram('job_queue_wait_seconds', 'Time jobs waited for a worker slot', DURATION_BUCKETS);
+const jobPhaseDuration = createHistogram('job_phase_duration_seconds', 'Time spent in each job phase', DURATION_BUCKETS);
+const inputBytesTotal = createCounter('input_bytes_total', 'Media bytes received (upload, url or storage)');
+const outputBytesTotal = createCounter('output_bytes_total', 'Result bytes delivered (stream or storage)');
+const compressSizeRatio = createHistogram('compress_size_ratio', 'Output/input size ratio of /compress', SIZE_RATIO_BUCKETS);
+const ffmpegFailuresTotal = createCounter('ffmpeg_failures_total', 'ffmpeg/ffprobe runs that failed, by reason');
+const webhookDeliveriesTotal = createCounter('webhook_deliveries_total', 'Webhook delivery attempts by event and outcome');
+const assetCacheRequestsTotal = createCounter('asset_cache_requests_total', 'Branding asset lookups by result (hit or miss)');
+
+// Processos ffmpeg/ffprobe em execução (mantido pelo execJob)
+const activeProcesses = { ffmpeg: 0, ffprobe: 0 };
+
+createGauge('ffmpeg_active_processes', 'ffmpeg/ffprobe processes currently running', () =>
+  Object.entries(activeProcesses).map(([command, value]) => ({ labels: { command }, value })));
+createGauge('jobs_active', 'Jobs holding a worker slot', () => [{ value: activeJobs.size }]);
+createGauge('jobs_queued', 'Jobs waiting for a worker slot', () => [{ value: jobQueue.length }]);
+createGauge('tmp_bytes', 'Temp directory filesystem usage', async () => {
+  const stats = await fs.statfs(TEMP_DIR).catch(() => null);
+  const reserved = { labels: { state: 'reserved' }, value: reservedDiskBytes };
+  if (!stats) return [reserved];
+  return [
+    { labels: { state: 'free' }, value: stats.bavail * stats.bsize },
+    { labels: { state: 'used' }, value: (stats.blocks - stats.bfree) * stats.bsize },
+    reserved
+  ];
+});
+createGauge('process_resident_memory_bytes', 'Resident memory of the Node.js process', () => [{ value: process.memoryUsage().rss }]);
+createGauge('process_uptime_seconds', 'Seconds since the process started', () => [{ value: Math.round(process.uptime()) }]);
+
+async function renderMetrics() {
+  const blocks = [];
+  for (const { type, name, help, collect } of metricRegistry) {
+    const samples = await collect(name);
+    blocks.push([`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples].join('\n'));
+  }
+  return blocks.join('\n') + '\n';
+}
+
+// Conta a requisição quando a resposta fecha; route é o padrão do Express (sem IDs) ou "unmatched"
+app.use((req, res, next) => {
+  res.on('close', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
+
+// ============================================
+// AUTH: API keys com quotas e rate limits
+// ============================================
+// Chaves carregadas de API_KEYS_FILE (JSON), FFMPEG_API_KEYS (JSON) e FFMPEG_API_KEY.
+// Formato: [{ "name": "backend", "key": "...", "maxConcurrent": 2,
+//             "requestsPerMinute": 30, "requestsPerDay": 2000, "admin": false }]
+function loadApiKeys() {
+  const keys = [];
+
+  if (process.env.API_KEYS_FILE) {
+    keys.push(...JSON.parse(fsSync.readFileSync(process.env.API_KEYS_FILE, 'utf8')));
+  }
+  if (process.env.FFMPEG_API_KEYS) {
+    keys.push(...JSON.parse(process.env.FFMPEG_API_KEYS));
+  }
+  if (process.env.FFMPEG_API_KEY) {
+    keys.push({ name: 'default', key: process.env.FFMPEG_API_KEY, admin: true });
+  }
+
+  return keys.map((entry, i) => {
+    if (!entry.key) throw new Error(`API key #${i + 1} sem campo "key"`);
+    return {
+      name: entry.name || `key-${i + 1}`,
+      hash: crypto.createHash('sha256').update(entry.key).digest(),
+      maxConcurrent: entry.maxConcurrent || null,
+      requestsPerMinute: entry.requestsPerMinute || null,
+      requestsPerDay: entry.requestsPerDay || null,
+      admin: Boolean(entry.admin),
+      webhookSecret: entry.webhookSecret || null
+    };
+  });
+}
+
+const apiKeys = loadApiKeys();
+const apiKeyUsage = new Map();
+
+if (apiKeys.length === 0) {
+  logger.warn('⚠️ Nenhuma API key configurada - autenticação desabilitada');
+}
+
+function getApiKeyUsage(name) {
+  if (!apiKeyUsage.has(name)) {
+    apiKeyUsage.set(name, {
+      active: 0,
+      totalRequests: 0,
+      rejectedRequests: 0,
+      minute: { windowStart: 0, count: 0 },
+      day: { windowStart: 0, count: 0 },
+      lastUsedAt: null
+    });
+  }
+  return apiKeyUsage.get(name);
+}
+
+// Janela fixa: zera o contador quando a janela atual terminou
+function rollWindow(counter, windowMs, now) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  if (counter.windowStart !== windowStart) {
+    counter.windowStart = windowStart;
+    counter.count = 0;
+  }
+}
+
+function findApiKey(provided) {
+  const hash = crypto.createHash('sha256').update(provided).digest();
+  return apiKeys.find(k => crypto.timingSafeEqual(k.hash, hash)) || null;
+}
+
+// Autenticação: X-API-Key ou Authorization: Bearer <key>
+function requireApiKey(req, res, next) {
+  if (apiKeys.length === 0) return next();
+
+  const authHeader = req.get('Authorization') || '';
+  const provided = req.get('X-API-Key') || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+
+  if (!provided) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  const apiKey = findApiKey(provided);
+  if (!apiKey) {
+    logger.warn(`🔒 API key inválida (${req.method} ${req.path})`);
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+// Quotas por chave: requisições/minuto, requisições/dia e jobs simultâneos
+function enforceApiKeyQuota(req, res, next) {
+  if (!req.apiKey) return next();
+
+  const { name, maxConcurrent, requestsPerMinute, requestsPerDay } = req.apiKey;
+  const usage = getApiKeyUsage(name);
+  const now = Date.now();
+
+  rollWindow(usage.minute, 60 * 1000, now);
+  rollWindow(usage.day, 24 * 60 * 60 * 1000, now);
+
+  const reject = (error, retryAfterMs) => {
+    usage.rejectedRequests++;
+    logger.warn(`🚦 [${name}] ${error}`);
+    if (retryAfterMs) res.set('Retry-After', Math.ceil(retryAfterMs / 1000).toString());
+    res.status(429).json({ error, apiKey: name });
+  };
+
+  if (requestsPerMinute && usage.minute.count >= requestsPerMinute) {
+    return reject('Rate limit exceeded (requests per minute)', usage.minute.windowStart + 60 * 1000 - now);
+  }
+  if (requestsPerDay && usage.day.count >= requestsPerDay) {
+    return reject('Quota exceeded (requests per day)', usage.day.windowStart + 24 * 60 * 60 * 1000 - now);
+  }
+  if (maxConcurrent && usage.active >= maxConcurrent) {
+    return reject('Concurrency limit reached', 5000);
+  }
+
+  usage.minute.count++;
+  usage.day.count++;
+  usage.totalRequests++;
+  usage.active++;
+  usage.lastUsedAt = new Date(now).toISOString();
+
+  // Slot liberado quando a resposta fecha, ou ao fim do job assíncrono (holdApiKeySlot)
+  let released = false;
+  const slot = {
+    held: false,
+    release: () => {
+      if (released) return;
+      released = true;
+      usage.active--;
+    }
+  };
+  req.apiKeySlot = slot;
+  res.on('close', () => {
+    if (!slot.held) slot.release();
+  });
+
+  next();
+}
+
+// Mantém o slot de concorrência ocupado até o job assíncrono terminar
+function holdApiKeySlot(req) {
+  if (!req.apiKeySlot) return () => {};
+  req.apiKeySlot.held = true;
+  return req.apiKeySlot.release;
+}
+
+function serializeApiKeyUsage(apiKey) {
+  const usage = getApiKeyUsage(apiKey.name);
+  rollWindow(usage.minute, 60 * 1000, Date.now());
+  rollWindow(usage.day, 24 * 60 * 60 * 1000, Date.now());
+
+  return {
+    name: apiKey.name,
+    active: usage.active,
+    requestsThisMinute: usage.minute.count,
+    requestsToday: usage.day.count,
+    totalRequests: usage.totalRequests,
+    rejectedRequests: usage.rejectedRequests,
+    lastUsedAt: usage.lastUsedAt,
+    limits: {
+      maxConcurrent: apiKey.maxConcurrent,
+      requestsPerMinute: apiKey.requestsPerMinute,
+      requestsPerDay: apiKey.requestsPerDay
+    }
+  };
+}
+
+app.get('/usage', requireApiKey, (req, res) => {
+  if (!req.apiKey) {
+    return res.json({ authEnabled: false, keys: [] });
+  }
+
+  const keys = req.apiKey.admin ? apiKeys : [req.apiKey];
+  res.json({ authEnabled: true, keys: keys.map(serializeApiKeyUsage) });
 });
 
 app.get('/health', (req, res) => {
@@ -31,15 +399,34 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.get('/diagnostics', async (req, res) => {
+app.get('/metrics', requireApiKey, async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await renderMetrics());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/diagnostics', requireApiKey, async (req, res) => {
   try {
-    const { stdout: ffmpegVersion } = await execAsync('ffmpeg -version');
+    const { stdout: ffmpegVersion } = await execFileAsync('ffmpeg', ['-version']);
+    const capabilities = await getFfmpegCapabilities();
     const memUsage = process.memoryUsage();
     const uptime = process.uptime();
 
     res.json({
       status: 'ok',
       ffmpeg: ffmpegVersion.split('\n')[0],
+      // Codecs que podem ser pedidos em /normalize e /compress, com o encoder que será usado (null = indisponível)
+      outputFormats: {
+        containers: Object.fromEntries(Object.entries(CONTAINERS)
+          .map(([name, { contentType, video, audio }]) => [name, { contentType, videoCodecs: video || [], audioCodecs: audio }])),
+        codecs: availableEncoders(capabilities)
+      },
+      encoders: capabilities.encoders,
+      decoders: capabilities.decoders,
+      filters: capabilities.filters,
       memory: {
         rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`,
         heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
@@ -47,6 +434,7 @@ app.get('/diagnostics', async (req, res) => {
       },
       uptime: `${Math.round(uptime)}s`,
       tmpDir: os.tmpdir(),
+      workers: await workerPoolStatus(),
       optimizations: 'streaming-enabled'
     });
   } catch (error) {
@@ -55,649 +443,5554 @@ app.get('/diagnostics', async (req, res) => {
 });
 
 // ============================================
-// ENDPOINT: /normalize (STREAMING)
+// JOBS: Modo assíncrono (job ID + polling)
 // ============================================
-app.post('/normalize', upload.single('video'), async (req, res) => {
-  const startTime = Date.now();
-  let inputPath = null;
-  let outputPath = null;
+const jobs = new Map();
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000;
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS) || 2 * 60 * 60 * 1000;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelado');
+    this.name = 'JobCancelledError';
+  }
+}
+
+class JobTimeoutError extends Error {
+  constructor() {
+    super(`Job excedeu o tempo limite de ${Math.round(JOB_TIMEOUT_MS / 1000)}s`);
+    this.name = 'JobTimeoutError';
+  }
+}
+
+// Códigos estáveis de falha e o status HTTP de cada um
+const ERROR_CODES = {
+  INPUT_DOWNLOAD_FAILED: 502,
+  INVALID_MEDIA: 422,
+  UNSUPPORTED_CODEC: 422,
+  ENCODE_FAILED: 500,
+  UPLOAD_FAILED: 502,
+  TIMEOUT: 504,
+  INTERNAL_ERROR: 500
+};
+
+// Falha classificada; stderr traz as últimas linhas relevantes do ffmpeg/ffprobe e details dados
+// estruturados da falha (ex.: downloads que falharam no /generate-zip)
+class ProcessingError extends Error {
+  constructor(code, message, { status, stderr, details } = {}) {
+    super(message);
+    this.name = 'ProcessingError';
+    this.code = code;
+    this.status = status || ERROR_CODES[code];
+    this.stderr = stderr || null;
+    this.details = details || null;
+  }
+}
+
+// Erros sem classificação própria herdam o código da fase em que aconteceram
+const PHASE_ERROR_CODES = {
+  download: 'INPUT_DOWNLOAD_FAILED',
+  assets: 'INPUT_DOWNLOAD_FAILED',
+  probe: 'INVALID_MEDIA',
+  upload: 'UPLOAD_FAILED'
+};
+
+function classifyJobError(job, error) {
+  if (error instanceof ProcessingError) return error;
+  if (error instanceof JobTimeoutError) return new ProcessingError('TIMEOUT', error.message);
+
+  const code = PHASE_ERROR_CODES[job.phase] || 'INTERNAL_ERROR';
+  // Download recusado em definitivo (4xx da origem, limite, checksum, host bloqueado) é erro do cliente
+  const status = code === 'INPUT_DOWNLOAD_FAILED' && error.permanent ? 422 : undefined;
+  return new ProcessingError(code, error.message, { status });
+}
+
+function createJob(type, { projectId, userId, jobId, notificationWebhook } = {}, apiKey = null) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    phase: null,
+    projectId: projectId || null,
+    userId: userId || null,
+    clientJobId: jobId || null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    timings: {},
+    progress: null,
+    result: null,
+    error: null,
+    errorCode: null,
+    errorDetails: null,
+    stderr: null,
+    requestId: null,
+    // Estado interno - não exposto em /jobs
+    apiKeyName: apiKey ? apiKey.name : null,
+    abortController: new AbortController(),
+    events: new EventEmitter(),
+    progressContext: {},
+    lastProgressAt: 0,
+    tempFiles: new Set(),
+    outputFile: null,
+    timedOut: false,
+    phaseStartedAt: null,
+    webhookUrl: notificationWebhook || null,
+    webhookSecret: (apiKey && apiKey.webhookSecret) || WEBHOOK_SECRET
+  };
+  job.events.setMaxListeners(100);
+  jobs.set(job.id, job);
+  if (job.webhookUrl) watchJobWebhooks(job);
+  return job;
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    phase: job.phase,
+    projectId: job.projectId,
+    userId: job.userId,
+    clientJobId: job.clientJobId,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    timings: job.timings,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode,
+    errorDetails: job.errorDetails,
+    stderr: job.stderr,
+    requestId: job.requestId
+  };
+}
+
+function isJobActive(job) {
+  return job.status === 'queued' || job.status === 'processing';
+}
+
+function assertNotCancelled(job) {
+  if (job.status === 'cancelled') throw new JobCancelledError();
+  if (job.timedOut) throw new JobTimeoutError();
+}
+
+// Fecha a fase atual acumulando a duração em job.timings (ms)
+function closeJobPhase(job) {
+  if (job.phase && job.phaseStartedAt) {
+    const elapsedMs = Date.now() - job.phaseStartedAt;
+    job.timings[job.phase] = (job.timings[job.phase] || 0) + elapsedMs;
+    jobPhaseDuration.observe({ type: job.type, phase: job.phase }, elapsedMs / 1000);
+  }
+  job.phaseStartedAt = null;
+}
+
+function setJobPhase(job, phase) {
+  assertNotCancelled(job);
+  closeJobPhase(job);
+  job.phase = phase;
+  job.phaseStartedAt = Date.now();
+  job.progress = { phase, ...job.progressContext };
+  job.events.emit('phase', phase);
+}
+
+// Atualiza job.progress e notifica assinantes SSE (no máximo a cada 500ms, exceto force)
+function updateJobProgress(job, progress, { force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - job.lastProgressAt < 500) return;
+  job.lastProgressAt = now;
+  job.progress = { phase: job.phase, ...job.progressContext, ...progress };
+  job.events.emit('progress', job.progress);
+}
+
+// Callback de progresso para downloads/uploads (bytes transferidos)
+function transferProgress(job, extra = {}) {
+  return (bytes, totalBytes) => {
+    const percent = totalBytes ? Math.round(bytes / totalBytes * 1000) / 10 : null;
+    updateJobProgress(job, { ...extra, bytes, totalBytes, percent }, { force: bytes === totalBytes });
+  };
+}
+
+// Converte a saída de "-progress pipe:1" (blocos key=value) em percent/fps/speed/ETA
+function attachFfmpegProgress(job, child, durationSeconds) {
+  let block = {};
+  let buffer = '';
+
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const [key, value] = line.trim().split('=');
+      if (!key) continue;
+      block[key] = value;
+      if (key !== 'progress') continue;
+
+      const outTimeSeconds = (parseInt(block.out_time_us || block.out_time_ms) || 0) / 1e6;
+      const speed = parseFloat(block.speed) || null;
+      const percent = durationSeconds ? Math.min(100, Math.round(outTimeSeconds / durationSeconds * 1000) / 10) : null;
+      const etaSeconds = durationSeconds && speed ? Math.max(0, Math.round((durationSeconds - outTimeSeconds) / speed)) : null;
+
+      updateJobProgress(job, {
+        percent: value === 'end' ? 100 : percent,
+        fps: parseFloat(block.fps) || null,
+        speed,
+        outTimeSeconds: Math.round(outTimeSeconds * 100) / 100,
+        durationSeconds: durationSeconds || null,
+        etaSeconds: value === 'end' ? 0 : etaSeconds
+      }, { force: value === 'end' });
+      block = {};
+    }
+  });
+}
+
+function trackTempFile(job, filePath) {
+  job.tempFiles.add(filePath);
+  return filePath;
+}
+
+// Runner único de ffmpeg/ffprobe: spawn com argumentos em array (sem shell), vinculado ao job -
+// DELETE /jobs/:id e o timeout do job matam o processo.
+// Com progressDuration (segundos), injeta -progress pipe:1 e publica o progresso do encode.
+// maxBuffer limita stdout/stderr guardados (mantém o final, onde ficam as estatísticas do loudnorm).
+async function execJob(job, command, args, options = {}) {
+  assertNotCancelled(job);
+  const { progressDuration, maxBuffer = 10 * 1024 * 1024 } = options;
+  const withProgress = progressDuration !== undefined && command === 'ffmpeg';
+  const finalArgs = withProgress ? ['-progress', 'pipe:1', '-nostats', ...args] : args;
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const child = spawn(command, finalArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const detachAbort = onAbort(job.abortController.signal, () => child.kill('SIGKILL'));
+      let stdout = '';
+      let stderr = '';
+      let running = true;
+      activeProcesses[command] = (activeProcesses[command] || 0) + 1;
+      const exited = () => {
+        if (running) activeProcesses[command]--;
+        running = false;
+        detachAbort();
+      };
+
+      if (withProgress) {
+        attachFfmpegProgress(job, child, progressDuration);
+      } else {
+        child.stdout.on('data', (chunk) => { stdout = (stdout + chunk).slice(-maxBuffer); });
+      }
+      child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-maxBuffer); });
+
+      child.on('error', (error) => {
+        exited();
+        ffmpegFailuresTotal.inc({ command, reason: 'spawn_error' });
+        reject(new ProcessingError('ENCODE_FAILED', `Falha ao executar ${command}: ${error.message}`));
+      });
+
+      child.on('close', (code, signal) => {
+        if (!running) return;
+        exited();
+        if (code === 0) return resolve({ stdout, stderr });
+
+        const reason = processFailureReason(job, signal, stderr);
+        ffmpegFailuresTotal.inc({ command, reason });
+        reject(new ProcessingError(processErrorCode(command, reason), `${command} falhou (${signal || `código ${code}`})`, {
+          stderr: stderrTail(stderr)
+        }));
+      });
+    });
+  } catch (error) {
+    assertNotCancelled(job);
+    throw error;
+  }
+}
+
+// Motivo da falha para métricas: cancelamento/timeout do job, sinal ou mensagem conhecida do stderr
+function processFailureReason(job, signal, stderr) {
+  if (job.status === 'cancelled') return 'cancelled';
+  if (job.timedOut) return 'timeout';
+  if (signal) return 'signal';
+  if (/No space left on device/i.test(stderr)) return 'disk_full';
+  if (/Cannot allocate memory|Out of memory/i.test(stderr)) return 'out_of_memory';
+  if (/Unknown encoder|Encoder not found|Decoder \(codec [^)]*\) not found|Unsupported codec/i.test(stderr)) return 'unsupported_codec';
+  if (/Error (initializing|while opening) encoder/i.test(stderr)) return 'encoder_error';
+  if (/Invalid data found|moov atom not found|could not find codec parameters|Invalid argument/i.test(stderr)) return 'invalid_input';
+  if (/No such file or directory/i.test(stderr)) return 'missing_file';
+  return 'other';
+}
+
+// Mídia inválida e codec sem suporte são erros do cliente; o resto é falha de encode
+function processErrorCode(command, reason) {
+  if (reason === 'unsupported_codec') return 'UNSUPPORTED_CODEC';
+  if (reason === 'invalid_input' || command === 'ffprobe') return 'INVALID_MEDIA';
+  return 'ENCODE_FAILED';
+}
+
+// Últimas linhas não vazias do stderr, sem o banner e a configuração do build
+const STDERR_TAIL_LINES = 15;
+
+function stderrTail(stderr) {
+  return stderr.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !/^(ffmpeg|ffprobe) version|^(built with|configuration:|lib[a-z]+ +\d)/.test(line))
+    .slice(-STDERR_TAIL_LINES)
+    .map(line => line.slice(0, 500));
+}
+
+async function removeJobOutput(job) {
+  if (job.outputFile) {
+    await fs.unlink(job.outputFile.path).catch(() => {});
+    job.outputFile = null;
+  }
+}
+
+// sync: o resultado vai na própria resposta (arquivo removido após o envio, sem downloadUrl)
+async function runJob(job, processor, { sync = false } = {}) {
+  let timeoutTimer = null;
 
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No video file provided' });
+    await acquireWorker(job);
+    job.status = 'processing';
+    job.startedAt = new Date().toISOString();
+    jobQueueWait.observe({ type: job.type }, (Date.now() - new Date(job.createdAt).getTime()) / 1000);
+
+    // Tempo máximo de parede (sem contar a fila): interrompe downloads/uploads e mata o ffmpeg em execução
+    timeoutTimer = setTimeout(() => {
+      job.timedOut = true;
+      job.abortController.abort();
+    }, JOB_TIMEOUT_MS);
+
+    const result = await requestContext.run({ requestId: job.requestId, job }, () => processor(job));
+    assertNotCancelled(job);
+    job.status = 'completed';
+    job.result = result.body;
+    if (result.file) {
+      job.outputFile = result.file;
+      job.tempFiles.delete(result.file.path);
+      if (!sync) job.result = { ...result.body, downloadUrl: `/jobs/${job.id}/download` };
     }
+    return result;
+  } catch (error) {
+    if (job.status === 'cancelled') throw new JobCancelledError();
+    const failure = classifyJobError(job, job.timedOut ? new JobTimeoutError() : error);
+    job.status = 'failed';
+    job.error = failure.message;
+    job.errorCode = failure.code;
+    job.errorDetails = failure.details;
+    job.stderr = failure.stderr;
+    throw failure;
+  } finally {
+    clearTimeout(timeoutTimer);
+    releaseWorker(job);
+    closeJobPhase(job);
+    job.finishedAt = new Date().toISOString();
+    if (job.startedAt) {
+      job.timings.total = Date.now() - new Date(job.startedAt).getTime();
+      jobDuration.observe({ type: job.type, status: job.status }, job.timings.total / 1000);
+    }
+    jobsTotal.inc({ type: job.type, status: job.status });
+    for (const tempFile of job.tempFiles) {
+      await fs.rm(tempFile, { recursive: true, force: true }).catch(() => {});
+    }
+    job.tempFiles.clear();
+    job.events.emit('finished', job);
+  }
+}
 
-    inputPath = req.file.path;
-    outputPath = path.join('/tmp', `normalized_${Date.now()}_${req.file.originalname}`);
+function cancelJob(job) {
+  if (!isJobActive(job)) return false;
+  job.status = 'cancelled';
+  job.error = 'Job cancelado';
+  job.abortController.abort();
+  return true;
+}
 
-    console.log(`📥 Normalizando: ${req.file.originalname} (${(req.file.size / 1024 / 1024).toFixed(2)}MB)`);
+// Registra handler de cancelamento; retorna função que remove o listener
+function onAbort(signal, handler) {
+  if (!signal) return () => {};
+  signal.addEventListener('abort', handler, { once: true });
+  return () => signal.removeEventListener('abort', handler);
+}
 
-    const { stdout: probeOutput } = await execAsync(
-      `ffprobe -v error -select_streams v:0 -show_entries stream=width,height,codec_name -of json "${inputPath}"`
-    );
-    const videoInfo = JSON.parse(probeOutput);
-    const stream = videoInfo.streams[0];
+// Sem auth configurada, chaves admin ou dona do job
+function canAccessJob(req, job) {
+  return !req.apiKey || req.apiKey.admin || job.apiKeyName === req.apiKey.name;
+}
 
-    console.log(`📊 ${stream.codec_name}, ${stream.width}x${stream.height}`);
+function wantsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
 
-    const targetWidth = parseInt(req.body.targetWidth) || 1080;
-    const targetHeight = parseInt(req.body.targetHeight) || 1920;
-    const quality = req.body.quality || 'medium';
+// SSE: snapshot inicial, eventos phase/progress e evento final (completed/failed/cancelled)
+function streamJobEvents(req, res, job) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-    const qualityPresets = {
-      low: { crf: 28, preset: 'veryfast' },
-      medium: { crf: 23, preset: 'medium' },
-      high: { crf: 18, preset: 'slow' }
-    };
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('status', serializeJob(job));
 
-    const { crf, preset } = qualityPresets[quality] || qualityPresets.medium;
-
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" \
-      -vf "scale='trunc(${targetWidth}/2)*2':'trunc(${targetHeight}/2)*2',setsar=1" \
-      -r 30 \
-      -c:v libx264 -preset ${preset} -crf ${crf} \
-      -c:a aac -b:a 128k -ar 44100 -ac 2 \
-      -af "loudnorm=I=-16:LRA=11:TP=-1.5,aresample=async=1" \
-      -movflags +faststart \
-      -pix_fmt yuv420p \
-      -vsync cfr \
-      -async 1 \
-      -avoid_negative_ts make_zero \
-      -fflags +genpts \
-      -y "${outputPath}"`;
-
-    console.log(`⚙️ Normalizando (${quality})...`);
-    await execAsync(ffmpegCmd, { maxBuffer: 50 * 1024 * 1024 });
-
-    // STREAMING: Enviar arquivo via stream (não carregar em RAM)
-    const stats = await fs.stat(outputPath);
-    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  if (!isJobActive(job)) {
+    send(job.status, serializeJob(job));
+    return res.end();
+  }
 
-    console.log(`✅ Completo em ${processingTime}s (${(stats.size / 1024 / 1024).toFixed(2)}MB)`);
+  const onPhase = (phase) => send('phase', { phase });
+  const onProgress = (progress) => send('progress', progress);
+  const onFinished = () => {
+    send(job.status, serializeJob(job));
+    res.end();
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
 
-    res.set({
-      'Content-Type': 'video/mp4',
-      'Content-Length': stats.size,
-      'X-Processing-Time': processingTime
-    });
+  job.events.on('phase', onPhase);
+  job.events.on('progress', onProgress);
+  job.events.once('finished', onFinished);
 
-    // Cleanup robusto - executa em end, error OU close (cliente desconectou)
-    const cleanup = async () => {
-      try {
-        if (inputPath) await fs.unlink(inputPath).catch(() => {});
-        if (outputPath) await fs.unlink(outputPath).catch(() => {});
-      } catch (e) {}
-    };
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.events.off('phase', onPhase);
+    job.events.off('progress', onProgress);
+    job.events.off('finished', onFinished);
+  });
+}
+
+function isAsyncRequest(req) {
+  const flag = req.query.async !== undefined ? req.query.async : (req.body && req.body.async);
+  return flag === true || flag === 'true' || flag === '1';
+}
 
-    const fileStream = fsSync.createReadStream(outputPath);
-    fileStream.pipe(res);
+// Envia o resultado do job na resposta HTTP (JSON ou arquivo via stream)
+async function sendJobResult(res, job, result, { keepFile = false } = {}) {
+  // O processor já escreveu a resposta (ZIP direto do /generate-zip)
+  if (result.streamed) return;
 
-    fileStream.on('end', cleanup);
-    fileStream.on('error', async (err) => {
-      console.error('❌ Erro no stream:', err);
-      await cleanup();
-    });
-    res.on('close', async () => {
-      fileStream.destroy();
-      await cleanup();
+  if (!result.file) {
+    return res.json(result.body);
+  }
+
+  const stats = await fs.stat(result.file.path);
+  res.set({
+    ...result.file.headers,
+    'Content-Length': stats.size
+  });
+  outputBytesTotal.inc({ type: job.type, destination: 'stream' }, stats.size);
+
+  // Cleanup robusto - executa em end, error OU close (cliente desconectou)
+  const cleanup = async () => {
+    if (!keepFile) await removeJobOutput(job);
+  };
+
+  const fileStream = fsSync.createReadStream(result.file.path);
+  fileStream.pipe(res);
+
+  fileStream.on('end', cleanup);
+  fileStream.on('error', async (err) => {
+    logger.error(`❌ Erro no stream (${job.type}):`, err);
+    await cleanup();
+  });
+  res.on('close', async () => {
+    fileStream.destroy();
+    await cleanup();
+  });
+}
+
+// Executa o job de forma síncrona (padrão), retorna 202 com o job ID (async=true)
+// ou transmite o progresso via SSE (Accept: text/event-stream).
+// Fila cheia ou /tmp sem espaço: 503 com Retry-After, sem registrar o job.
+async function dispatchJob(req, res, job, processor, errorTitle) {
+  const rejection = await admitJob(job, (req.file ? req.file.size : URL_INPUT_ESTIMATE_BYTES) * DISK_SPACE_FACTOR);
+  if (rejection) {
+    jobs.delete(job.id);
+    await removeUploads(req);
+    logger.warn(`🚦 [JOB] ${job.type} recusado: ${rejection.message}`);
+    res.set('Retry-After', QUEUE_RETRY_AFTER_SECONDS.toString());
+    return res.status(503).json(rejection);
+  }
+
+  res.set('X-Job-Id', job.id);
+  job.requestId = req.id;
+  if (req.file) inputBytesTotal.inc({ source: 'upload' }, req.file.size);
+  requestContext.run({ requestId: req.id, job }, () => startJob(req, res, job, processor, errorTitle));
+}
+
+function startJob(req, res, job, processor, errorTitle) {
+  const eventStream = wantsEventStream(req);
+
+  if (isAsyncRequest(req) || eventStream) {
+    logger.info(`🆔 [JOB] ${job.id} (${job.type}) em modo assíncrono`);
+    const releaseApiKeySlot = holdApiKeySlot(req);
+    runJob(job, processor)
+      .then(() => logger.info(`✅ [JOB] ${job.id} concluído`))
+      .catch((error) => logger.event(error.status && error.status < 500 ? 'warn' : 'error', `❌ [JOB] ${job.id} ${job.status}: ${error.message}`, {
+        code: job.errorCode || undefined,
+        stderr: job.stderr || undefined
+      }))
+      .finally(releaseApiKeySlot);
+
+    if (eventStream) {
+      return streamJobEvents(req, res, job);
+    }
+
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`
     });
+  }
+
+  // Cliente desconectou antes do fim da resposta: cancela o job em vez de ocupar o worker até o timeout
+  res.on('close', () => {
+    if (!res.writableFinished && cancelJob(job)) {
+      logger.info(`🛑 [JOB] ${job.id} cancelado (cliente desconectou)`);
+    }
+  });
+
+  runJob(job, processor, { sync: true })
+    .then((result) => sendJobResult(res, job, result))
+    .catch((error) => sendJobError(req, res, job, error, errorTitle));
+}
 
+// Falha no modo síncrono: status pelo código do erro, com a cauda do stderr quando houver
+function sendJobError(req, res, job, error, errorTitle) {
+  if (error instanceof JobCancelledError) {
+    return res.status(409).json({ success: false, error: 'Job cancelled', code: 'JOB_CANCELLED', jobId: job.id, requestId: req.id });
+  }
+
+  const failure = classifyJobError(job, error);
+  logger.event(failure.status >= 500 ? 'error' : 'warn', `❌ [${job.type}] ${failure.code}: ${failure.message}`, {
+    code: failure.code,
+    status: failure.status,
+    stderr: failure.stderr || undefined,
+    error: failure.code === 'INTERNAL_ERROR' ? { message: error.message, stack: error.stack } : undefined
+  });
+  if (res.headersSent) return res.destroy();
+
+  res.status(failure.status).json({
+    success: false,
+    error: failure.code === 'TIMEOUT' ? 'Job timed out' : errorTitle,
+    code: failure.code,
+    message: failure.message,
+    ...(failure.stderr && { stderr: failure.stderr }),
+    ...(failure.details && { details: failure.details }),
+    jobId: job.id,
+    requestId: req.id
+  });
+}
+
+app.get('/jobs', requireApiKey, (req, res) => {
+  const { projectId, userId, status, type } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  const result = [...jobs.values()]
+    .filter(job => canAccessJob(req, job))
+    .filter(job => !projectId || job.projectId === projectId)
+    .filter(job => !userId || job.userId === userId)
+    .filter(job => !status || job.status === status)
+    .filter(job => !type || job.type === type)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(serializeJob);
+
+  res.json({ jobs: result, count: result.length });
+});
+
+app.get('/jobs/:id', requireApiKey, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(job));
+});
+
+app.get('/jobs/:id/events', requireApiKey, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  streamJobEvents(req, res, job);
+});
+
+app.get('/jobs/:id/download', requireApiKey, async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'completed' || !job.outputFile) {
+    return res.status(409).json({ error: 'Job has no downloadable output', status: job.status });
+  }
+
+  try {
+    await sendJobResult(res, job, { file: job.outputFile }, { keepFile: true });
   } catch (error) {
-    console.error('❌ Erro:', error);
-    try {
-      if (inputPath) await fs.unlink(inputPath).catch(() => {});
-      if (outputPath) await fs.unlink(outputPath).catch(() => {});
-    } catch (e) {}
-    res.status(500).json({
-      error: 'Normalization failed',
-      message: error.message
-    });
+    res.status(410).json({ error: 'Output no longer available', message: error.message });
+  }
+});
+
+app.delete('/jobs/:id', requireApiKey, async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (cancelJob(job)) {
+    logger.info(`🛑 [JOB] ${job.id} cancelado`);
+  } else {
+    // Job já finalizado: remover do registro junto com o arquivo de saída
+    await removeJobOutput(job);
+    jobs.delete(job.id);
   }
+
+  res.json(serializeJob(job));
 });
 
 // ============================================
-// ENDPOINT: /compress (STREAMING)
+// WORKERS: Fila de jobs, concorrência e espaço em disco
 // ============================================
-app.post('/compress', express.json({ limit: '50mb' }), async (req, res) => {
-  const startTime = Date.now();
-  let inputPath = null;
-  let outputPath = null;
+// Até MAX_CONCURRENT_JOBS jobs em execução; os demais esperam na fila (status queued, ordem de chegada)
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 2;
+const MAX_QUEUED_JOBS = parseInt(process.env.MAX_QUEUED_JOBS) || 20;
+const QUEUE_RETRY_AFTER_SECONDS = parseInt(process.env.QUEUE_RETRY_AFTER_SECONDS) || 30;
 
-  try {
-    const { videoUrl, crf, preset, supabaseUrl, supabaseKey, outputPath: targetOutputPath } = req.body;
+// Espaço livre mínimo em /tmp. Cada byte de entrada ocupa ~3x: entrada, intermediários e saída.
+const TEMP_DIR = '/tmp';
+const MIN_FREE_DISK_BYTES = (parseInt(process.env.MIN_FREE_DISK_MB) || 512) * 1024 * 1024;
+const DISK_SPACE_FACTOR = 3;
+// Entradas por URL: tamanho presumido na admissão (o real só é conhecido no download)
+const URL_INPUT_ESTIMATE_BYTES = (parseInt(process.env.URL_INPUT_ESTIMATE_MB) || 100) * 1024 * 1024;
+
+const activeJobs = new Set();
+const jobQueue = [];
+// Jobs admitidos e ainda não liberados (em execução, na fila ou a caminho dela)
+let admittedJobs = 0;
+// Espaço estimado dos jobs admitidos (uploads), descontado do livre nas próximas admissões
+let reservedDiskBytes = 0;
+
+async function getFreeDiskBytes() {
+  const stats = await fs.statfs(TEMP_DIR);
+  return stats.bavail * stats.bsize;
+}
+
+// Cabem mais `bytes` em /tmp sem invadir o mínimo livre? Sem statfs não bloqueia.
+async function hasDiskSpace(bytes) {
+  const free = await getFreeDiskBytes().catch(() => null);
+  return free === null || free - reservedDiskBytes - bytes >= MIN_FREE_DISK_BYTES;
+}
+
+// null quando o job foi aceito; senão o corpo da resposta 503.
+// Slot e reserva de disco são tomados antes do await, para que admissões simultâneas
+// não passem todas pela mesma verificação; em caso de recusa são devolvidos.
+async function admitJob(job, estimatedBytes) {
+  if (admittedJobs >= MAX_CONCURRENT_JOBS + MAX_QUEUED_JOBS) {
+    return {
+      error: 'Server busy',
+      code: 'SERVER_BUSY',
+      message: `Job queue is full (${activeJobs.size} running, ${jobQueue.length} queued)`
+    };
+  }
+
+  admittedJobs++;
+  job.admitted = true;
+  job.diskReservation = estimatedBytes;
+  reservedDiskBytes += estimatedBytes;
+
+  if (!(await hasDiskSpace(0))) {
+    releaseWorker(job);
+    return {
+      error: 'Insufficient disk space',
+      code: 'INSUFFICIENT_DISK_SPACE',
+      message: `Not enough free space in ${TEMP_DIR} for this job (about ${Math.ceil(estimatedBytes / 1024 / 1024)}MB needed)`
+    };
+  }
+  return null;
+}
+
+// Resolve quando há slot livre; rejeita se o job for cancelado ainda na fila
+function acquireWorker(job) {
+  if (activeJobs.size < MAX_CONCURRENT_JOBS && jobQueue.length === 0) {
+    activeJobs.add(job);
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = {
+      job,
+      start: () => {
+        removeAbortListener();
+        activeJobs.add(job);
+        resolve();
+      }
+    };
+    const removeAbortListener = onAbort(job.abortController.signal, () => {
+      jobQueue.splice(jobQueue.indexOf(entry), 1);
+      reject(new JobCancelledError());
+    });
+    jobQueue.push(entry);
+    logger.info(`⏳ [JOB] ${job.id} (${job.type}) na fila, posição ${jobQueue.length}`);
+  });
+}
+
+// Libera o slot e a reserva de disco; o próximo da fila assume o slot
+function releaseWorker(job) {
+  reservedDiskBytes -= job.diskReservation || 0;
+  job.diskReservation = 0;
+  if (job.admitted) {
+    job.admitted = false;
+    admittedJobs--;
+  }
+  if (!activeJobs.delete(job)) return;
+
+  const next = jobQueue.shift();
+  if (next) next.start();
+}
+
+async function workerPoolStatus() {
+  const free = await getFreeDiskBytes().catch(() => null);
+  const toMB = (bytes) => `${Math.round(bytes / 1024 / 1024)}MB`;
+
+  return {
+    maxConcurrent: MAX_CONCURRENT_JOBS,
+    maxQueued: MAX_QUEUED_JOBS,
+    active: activeJobs.size,
+    queued: jobQueue.length,
+    activeJobs: [...activeJobs].map(job => ({ id: job.id, type: job.type, phase: job.phase, startedAt: job.startedAt })),
+    queuedJobs: jobQueue.map(({ job }) => ({ id: job.id, type: job.type, createdAt: job.createdAt })),
+    disk: {
+      path: TEMP_DIR,
+      free: free === null ? null : toMB(free),
+      reserved: toMB(reservedDiskBytes),
+      minFree: toMB(MIN_FREE_DISK_BYTES)
+    }
+  };
+}
+
+// ============================================
+// VALIDAÇÃO: Schemas de parâmetros com erros por campo
+// ============================================
+// Regra por campo: { type, required, default, min, max, enum, pattern, maxLength, items, minItems, maxItems, schema, message }
+// type: integer | number | boolean | string | url | array | object. Números e booleans aceitam string
+// (campos multipart) e objetos aceitam JSON em string. message substitui a mensagem padrão de pattern.
+function validateSchema(input, schema, prefix = '') {
+  const values = {};
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const result = validateValue(input ? input[name] : undefined, rule, field);
+    if (result.errors.length > 0) errors.push(...result.errors);
+    else values[name] = result.value;
+  }
+
+  return { values, errors };
+}
+
+function validateValue(raw, rule, field) {
+  const ok = (value) => ({ value, errors: [] });
+  const fail = (message) => ({ errors: [{ field, message: `${field} ${message}` }] });
+
+  if (raw === undefined || raw === null || raw === '') {
+    if (rule.required) return fail('is required');
+    return ok(rule.default !== undefined ? rule.default : null);
+  }
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : (typeof raw === 'string' ? Number(raw.trim()) : NaN);
+      if (!Number.isFinite(value)) return fail('must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (rule.enum && !rule.enum.includes(value)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        if (rule.max === undefined) return fail(`must be at least ${rule.min}`);
+        if (rule.min === undefined) return fail(`must be at most ${rule.max}`);
+        return fail(`must be between ${rule.min} and ${rule.max}`);
+      }
+      return ok(value);
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return ok(true);
+      if (raw === false || raw === 'false') return ok(false);
+      return fail('must be true or false');
+    case 'string':
+      if (typeof raw !== 'string') return fail('must be a string');
+      if (rule.enum && !rule.enum.includes(raw)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+      if (rule.maxLength && raw.length > rule.maxLength) return fail(`must be at most ${rule.maxLength} characters`);
+      if (rule.pattern && !rule.pattern.test(raw)) return fail(rule.message || 'has an invalid format');
+      return ok(raw);
+    case 'url': {
+      if (typeof raw !== 'string') return fail('must be a URL');
+      if (raw.startsWith(STORAGE_URL_PREFIX)) {
+        const keyError = storageInputKeyError(raw.slice(STORAGE_URL_PREFIX.length));
+        return keyError ? fail(keyError) : ok(raw);
+      }
+      let url = null;
+      try {
+        url = new URL(raw);
+      } catch (e) {
+        // url permanece null
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) return fail('must be a valid http(s) URL');
+      return ok(raw);
+    }
+    case 'array': {
+      if (typeof raw === 'string') {
+        try {
+          raw = JSON.parse(raw);
+        } catch (e) {
+          return fail('must be valid JSON');
+        }
+      }
+      if (!Array.isArray(raw)) return fail('must be an array');
+      if ((rule.minItems && raw.length < rule.minItems) || (rule.maxItems && raw.length > rule.maxItems)) {
+        return fail(`must have ${rule.minItems || 0} to ${rule.maxItems} items`);
+      }
+      if (!rule.items) return ok(raw);
+
+      const values = [];
+      const errors = [];
+      raw.forEach((item, i) => {
+        const result = validateValue(item, { required: true, ...rule.items }, `${field}[${i}]`);
+        if (result.errors.length > 0) errors.push(...result.errors);
+        else values.push(result.value);
+      });
+      return errors.length > 0 ? { errors } : ok(values);
+    }
+    case 'object': {
+      let value = raw;
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (e) {
+          return fail('must be valid JSON');
+        }
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      if (!rule.schema) return ok(value);
+
+      const result = validateSchema(value, rule.schema, field);
+      return result.errors.length > 0 ? { errors: result.errors } : ok(result.values);
+    }
+    default:
+      throw new Error(`Tipo de regra desconhecido: ${rule.type}`);
+  }
+}
+
+// Remove os arquivos recebidos pelo multer (vídeo e legendas) quando o request é recusado
+async function removeUploads(req) {
+  const files = [...(req.file ? [req.file] : []), ...(req.subtitleFiles || [])];
+  await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+}
+
+// 400 com a lista de erros por campo (remove o upload do multer)
+function rejectInvalidParams(req, res, errors) {
+  removeUploads(req).catch(() => {});
+  res.status(400).json({
+    error: errors.map(e => e.message).join('; '),
+    code: 'INVALID_PARAMS',
+    fields: errors
+  });
+}
+
+const STORAGE_KEY_RULE = {
+  type: 'string',
+  maxLength: 512,
+  pattern: /^(?!.*\.\.)[a-zA-Z0-9/_.-]+$/,
+  message: 'may only contain letters, numbers, "/", "_", "." and "-"'
+};
+
+// Checksum opcional das entradas por URL, verificado após o download
+const CHECKSUM_RULE = {
+  type: 'string',
+  pattern: /^(sha256:[a-fA-F0-9]{64}|sha1:[a-fA-F0-9]{40}|md5:[a-fA-F0-9]{32})$/,
+  message: 'must be "sha256:<hex>", "sha1:<hex>" or "md5:<hex>"'
+};
+
+// r2Config no corpo (/package e /generate-zip)
+const R2_CONFIG_RULE = {
+  type: 'object',
+  schema: {
+    accountId: { type: 'string', required: true, pattern: /^[a-zA-Z0-9]+$/, message: 'must be alphanumeric' },
+    accessKeyId: { type: 'string', required: true, maxLength: 256 },
+    secretAccessKey: { type: 'string', required: true, maxLength: 256 },
+    bucketName: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9.-]{1,62}$/, message: 'must be a valid bucket name' },
+    publicUrl: { type: 'url' }
+  }
+};
+
+// ============================================
+// CODECS: Formatos de saída e capacidades do ffmpeg
+// ============================================
+// Presets do x264/x265 (os demais encoders usam velocidade fixa)
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+// encoders em ordem de preferência: usa o primeiro presente no ffmpeg instalado.
+// quality: CRF de cada nível de quality (medium é o padrão); maxCrf: limite do crf explícito.
+// twoPass: suporta o modo targetSizeMB (-pass 1/2); vbv: aceita -maxrate junto com CRF.
+const VIDEO_CODECS = {
+  h264: {
+    encoders: ['libx264'],
+    quality: { low: 28, medium: 23, high: 18 },
+    maxCrf: 51,
+    twoPass: true,
+    vbv: true,
+    args: (encoder, { preset }) => ['-c:v', encoder, '-preset', preset],
+    crfArgs: (encoder, crf) => ['-crf', String(crf)]
+  },
+  hevc: {
+    encoders: ['libx265'],
+    quality: { low: 32, medium: 28, high: 23 },
+    maxCrf: 51,
+    vbv: true,
+    // hvc1: tag exigida por QuickTime/Safari para HEVC em MP4/MOV
+    args: (encoder, { preset }) => ['-c:v', encoder, '-preset', preset, '-tag:v', 'hvc1'],
+    crfArgs: (encoder, crf) => ['-crf', String(crf)]
+  },
+  vp9: {
+    encoders: ['libvpx-vp9'],
+    quality: { low: 40, medium: 33, high: 28 },
+    maxCrf: 63,
+    twoPass: true,
+    args: (encoder) => ['-c:v', encoder, '-deadline', 'good', '-cpu-used', '2', '-row-mt', '1'],
+    crfArgs: (encoder, crf) => ['-crf', String(crf), '-b:v', '0']
+  },
+  av1: {
+    encoders: ['libsvtav1', 'libaom-av1'],
+    quality: { low: 42, medium: 35, high: 28 },
+    maxCrf: 63,
+    args: (encoder) => encoder === 'libsvtav1'
+      ? ['-c:v', encoder, '-preset', '8']
+      : ['-c:v', encoder, '-cpu-used', '6', '-row-mt', '1'],
+    crfArgs: (encoder, crf) => encoder === 'libsvtav1' ? ['-crf', String(crf)] : ['-crf', String(crf), '-b:v', '0']
+  }
+};
+
+// sampleRate: taxa fixa exigida pelo encoder (Opus só aceita 48kHz)
+const AUDIO_CODECS = {
+  aac: { encoders: ['aac'], args: (encoder, bitrate) => ['-c:a', encoder, '-b:a', `${bitrate}k`] },
+  opus: { encoders: ['libopus'], sampleRate: 48000, args: (encoder, bitrate) => ['-c:a', encoder, '-b:a', `${bitrate}k`] },
+  mp3: { encoders: ['libmp3lame'], args: (encoder, bitrate) => ['-c:a', encoder, '-b:a', `${bitrate}k`] },
+  flac: { encoders: ['flac'], args: (encoder) => ['-c:a', encoder] }
+};
+
+// Containers sem "video" são somente áudio. A extensão do arquivo é o nome do container.
+// subtitles = codec das faixas de legenda soft (sem ele o container não aceita legendas selecionáveis).
+const CONTAINERS = {
+  mp4: { contentType: 'video/mp4', video: ['h264', 'hevc', 'av1'], audio: ['aac', 'opus', 'mp3', 'flac'], subtitles: 'mov_text', faststart: true },
+  mov: { contentType: 'video/quicktime', video: ['h264', 'hevc'], audio: ['aac'], subtitles: 'mov_text', faststart: true },
+  webm: { contentType: 'video/webm', video: ['vp9', 'av1'], audio: ['opus'], subtitles: 'webvtt' },
+  mkv: { contentType: 'video/x-matroska', video: ['h264', 'hevc', 'vp9', 'av1'], audio: ['aac', 'opus', 'mp3', 'flac'], subtitles: 'srt' },
+  m4a: { contentType: 'audio/mp4', audio: ['aac'], faststart: true },
+  mp3: { contentType: 'audio/mpeg', audio: ['mp3'] },
+  ogg: { contentType: 'audio/ogg', audio: ['opus'] },
+  flac: { contentType: 'audio/flac', audio: ['flac'] }
+};
+
+const DEFAULT_OUTPUT_FORMAT = {
+  container: 'mp4',
+  videoCodec: 'h264',
+  audioCodec: 'aac',
+  videoEncoder: 'libx264',
+  audioEncoder: 'aac'
+};
+
+const OUTPUT_FORMAT_SCHEMA = {
+  container: { type: 'string', enum: Object.keys(CONTAINERS) },
+  videoCodec: { type: 'string', enum: Object.keys(VIDEO_CODECS) },
+  audioCodec: { type: 'string', enum: Object.keys(AUDIO_CODECS) }
+};
+
+// Completa container/codecs com os padrões e valida as combinações; retorna { format, errors }
+function resolveOutputFormat({ container, videoCodec, audioCodec }) {
+  const name = container ||
+    (videoCodec && Object.keys(CONTAINERS).find(key => (CONTAINERS[key].video || []).includes(videoCodec))) ||
+    'mp4';
+  const spec = CONTAINERS[name];
+  const errors = [];
+
+  if (videoCodec && !spec.video) {
+    errors.push({ field: 'videoCodec', message: `videoCodec cannot be used with the audio-only container "${name}"` });
+  } else if (videoCodec && !spec.video.includes(videoCodec)) {
+    errors.push({ field: 'videoCodec', message: `videoCodec must be one of: ${spec.video.join(', ')} (container "${name}")` });
+  }
+  if (audioCodec && !spec.audio.includes(audioCodec)) {
+    errors.push({ field: 'audioCodec', message: `audioCodec must be one of: ${spec.audio.join(', ')} (container "${name}")` });
+  }
+
+  return {
+    format: {
+      container: name,
+      videoCodec: spec.video ? videoCodec || spec.video[0] : null,
+      audioCodec: audioCodec || spec.audio[0]
+    },
+    errors
+  };
+}
+
+// Listas de `ffmpeg -encoders/-decoders/-filters`, lidas uma vez por processo
+let ffmpegCapabilities = null;
+
+function parseCodecList(stdout) {
+  const result = { video: [], audio: [], subtitle: [] };
+  const lines = stdout.split('\n');
+  const start = lines.findIndex(line => line.trim().startsWith('---'));
+  for (const line of lines.slice(start + 1)) {
+    const match = /^\s([VAS])[A-Z.]{5}\s+(\S+)/.exec(line);
+    if (!match) continue;
+    result[{ V: 'video', A: 'audio', S: 'subtitle' }[match[1]]].push(match[2]);
+  }
+  return result;
+}
+
+function parseFilterList(stdout) {
+  return stdout.split('\n')
+    .map(line => /^\s[T.][S.]?[C.]?\s+(\S+)\s+\S*->\S*/.exec(line))
+    .filter(Boolean)
+    .map(match => match[1]);
+}
+
+function getFfmpegCapabilities() {
+  if (!ffmpegCapabilities) {
+    const list = (flag) => execFileAsync('ffmpeg', ['-hide_banner', flag], { maxBuffer: 10 * 1024 * 1024 });
+    ffmpegCapabilities = Promise.all([list('-encoders'), list('-decoders'), list('-filters')])
+      .then(([encoders, decoders, filters]) => {
+        const parsedEncoders = parseCodecList(encoders.stdout);
+        return {
+          encoders: parsedEncoders,
+          decoders: parseCodecList(decoders.stdout),
+          filters: parseFilterList(filters.stdout),
+          encoderNames: new Set([...parsedEncoders.video, ...parsedEncoders.audio])
+        };
+      })
+      .catch((error) => {
+        // Não guarda a falha: tenta de novo na próxima chamada
+        ffmpegCapabilities = null;
+        throw error;
+      });
+  }
+  return ffmpegCapabilities;
+}
+
+// Primeiro encoder instalado de cada codec (null quando nenhum está disponível)
+function availableEncoders(capabilities) {
+  const pick = (codecs) => Object.fromEntries(Object.entries(codecs)
+    .map(([name, codec]) => [name, codec.encoders.find(encoder => capabilities.encoderNames.has(encoder)) || null]));
+  return { video: pick(VIDEO_CODECS), audio: pick(AUDIO_CODECS) };
+}
+
+// Escolhe os encoders do formato; { error } (422) quando o ffmpeg instalado não tem nenhum.
+// Sem discovery (ffmpeg indisponível) usa o preferido e deixa o encode falhar.
+async function resolveEncoders(format) {
+  const capabilities = await getFfmpegCapabilities().catch(() => null);
+  const available = capabilities ? availableEncoders(capabilities) : null;
+  const pick = (kind, codec, codecs) => (available ? available[kind][codec] : codecs[codec].encoders[0]);
+
+  const videoEncoder = format.videoCodec ? pick('video', format.videoCodec, VIDEO_CODECS) : null;
+  if (format.videoCodec && !videoEncoder) {
+    return { error: { field: 'videoCodec', message: `videoCodec "${format.videoCodec}" requires ${VIDEO_CODECS[format.videoCodec].encoders.join(' or ')}, which this ffmpeg build does not provide` } };
+  }
+  const audioEncoder = pick('audio', format.audioCodec, AUDIO_CODECS);
+  if (!audioEncoder) {
+    return { error: { field: 'audioCodec', message: `audioCodec "${format.audioCodec}" requires ${AUDIO_CODECS[format.audioCodec].encoders.join(' or ')}, which this ffmpeg build does not provide` } };
+  }
+
+  return { format: { ...format, videoEncoder, audioEncoder } };
+}
+
+// crf na escala do codec escolhido (0-51 no x264/x265, 0-63 no VP9/AV1)
+function validateCodecCrf(crf, format) {
+  const videoCodec = format.videoCodec ? VIDEO_CODECS[format.videoCodec] : null;
+  if (!videoCodec || crf === null || crf === undefined || crf <= videoCodec.maxCrf) return [];
+  return [{ field: 'crf', message: `crf must be between 0 and ${videoCodec.maxCrf} for ${format.videoCodec}` }];
+}
+
+function outputFormatSummary({ container, videoCodec, audioCodec }) {
+  return { container, videoCodec, audioCodec };
+}
+
+// 422 para encoder indisponível (remove o upload do multer)
+function rejectUnavailableEncoder(req, res, error) {
+  removeUploads(req).catch(() => {});
+  res.status(422).json({
+    error: 'Encoder not available',
+    code: 'UNSUPPORTED_CODEC',
+    message: error.message,
+    field: error.field
+  });
+}
+
+// ============================================
+// SUBTITLES: Legendas SRT/WebVTT/ASS (burn-in ou faixas soft) no /normalize e /compress
+// ============================================
+const MAX_SUBTITLE_TRACKS = 8;
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+
+// codec_name do ffprobe -> formato aceito
+const SUBTITLE_INPUT_CODECS = { subrip: 'srt', webvtt: 'vtt', ass: 'ass', ssa: 'ass' };
+
+// SRT/WebVTT convertidos para ASS pelo ffmpeg usam PlayResX/PlayResY 384x288 e o libass escala pelo quadro.
+// O estilo é dado em pixels de um quadro 1080x1920 e convertido para essa escala (proporcional em outras saídas).
+const ASS_PLAY_RES_X = 384;
+const ASS_PLAY_RES_Y = 288;
+const SUBTITLE_STYLE_FRAME = { width: 1080, height: 1920 };
+const SUBTITLE_ALIGNMENTS = { bottom: 2, center: 5, top: 8 };
+
+const SUBTITLE_COLOR_RULE = {
+  type: 'string',
+  pattern: /^#?[0-9a-fA-F]{6}$/,
+  message: 'must be a hex color RRGGBB'
+};
+
+const SUBTITLES_SCHEMA = {
+  // Cada item: url ou file (nome de um arquivo enviado no campo multipart "subtitleFile")
+  subtitles: {
+    type: 'array',
+    maxItems: MAX_SUBTITLE_TRACKS,
+    items: {
+      type: 'object',
+      schema: {
+        url: { type: 'url' },
+        file: { type: 'string', maxLength: 255 },
+        language: { type: 'string', pattern: /^[a-z]{2,3}$/, message: 'must be an ISO 639 code (e.g. "por" or "en")', default: 'und' },
+        title: { type: 'string', maxLength: 100 },
+        default: { type: 'boolean', default: false }
+      }
+    }
+  },
+  subtitleMode: { type: 'string', enum: ['soft', 'burn'], default: 'soft' },
+  // Estilo do burn-in em pixels de SUBTITLE_STYLE_FRAME; a margem inferior padrão fica acima dos controles
+  // dos apps verticais. Legendas ASS mantêm o próprio estilo.
+  subtitleStyle: {
+    type: 'object',
+    schema: {
+      font: { type: 'string', pattern: /^[A-Za-z0-9 _-]{1,64}$/, message: 'may only contain letters, numbers, spaces, "_" and "-"', default: 'Sans' },
+      fontSize: { type: 'integer', min: 8, max: 300, default: 64 },
+      color: { ...SUBTITLE_COLOR_RULE, default: 'FFFFFF' },
+      outlineColor: { ...SUBTITLE_COLOR_RULE, default: '000000' },
+      outline: { type: 'integer', min: 0, max: 20, default: 4 },
+      position: { type: 'string', enum: Object.keys(SUBTITLE_ALIGNMENTS), default: 'bottom' },
+      marginV: { type: 'integer', min: 0, max: 2000, default: 320 },
+      marginH: { type: 'integer', min: 0, max: 1000, default: 80 }
+    }
+  }
+};
+
+// Uploads do vídeo (opcional) e das legendas (campo "subtitleFile", repetível); req.file continua sendo o vídeo
+function uploadWithSubtitles({ video = false } = {}) {
+  const fields = [{ name: 'subtitleFile', maxCount: MAX_SUBTITLE_TRACKS }];
+  if (video) fields.unshift({ name: 'video', maxCount: 1 });
+  return [
+    upload.fields(fields),
+    (req, res, next) => {
+      const files = req.files || {};
+      req.file = files.video ? files.video[0] : undefined;
+      req.subtitleFiles = files.subtitleFile || [];
+      next();
+    }
+  ];
+}
+
+// Junta os itens de "subtitles" com os arquivos enviados (arquivos sem item entram com os padrões);
+// retorna { tracks, errors }
+function resolveSubtitleTracks(req, options, format) {
+  const errors = [];
+  const uploads = [...req.subtitleFiles || []];
+  const tracks = [];
+
+  for (const [i, item] of (options.subtitles || []).entries()) {
+    const field = `subtitles[${i}]`;
+    if (Boolean(item.url) === Boolean(item.file)) {
+      errors.push({ field, message: `${field} must have either url or file` });
+      continue;
+    }
+    if (item.url) {
+      tracks.push({ ...item, source: item.url });
+      continue;
+    }
+    const index = uploads.findIndex(upload => upload.originalname === item.file);
+    if (index === -1) {
+      errors.push({ field: `${field}.file`, message: `${field}.file "${item.file}" was not uploaded as "subtitleFile"` });
+      continue;
+    }
+    tracks.push({ ...item, upload: uploads.splice(index, 1)[0] });
+  }
+  for (const upload of uploads) {
+    tracks.push({ language: 'und', title: null, default: false, upload });
+  }
+
+  for (const track of tracks) {
+    if (track.upload && track.upload.size > MAX_SUBTITLE_BYTES) {
+      errors.push({ field: 'subtitleFile', message: `subtitleFile "${track.upload.originalname}" exceeds ${MAX_SUBTITLE_BYTES / 1024 / 1024}MB` });
+    }
+  }
+  if (tracks.length > MAX_SUBTITLE_TRACKS) {
+    errors.push({ field: 'subtitles', message: `at most ${MAX_SUBTITLE_TRACKS} subtitle tracks are allowed` });
+  }
+  if (tracks.filter(track => track.default).length > 1) {
+    errors.push({ field: 'subtitles', message: 'only one subtitle track can be default' });
+  }
+
+  if (tracks.length > 0 && format) {
+    if (!format.videoCodec) {
+      errors.push({ field: 'container', message: 'subtitles require a video output' });
+    } else if (options.subtitleMode === 'soft' && !CONTAINERS[format.container].subtitles) {
+      errors.push({ field: 'subtitleMode', message: `container "${format.container}" does not support soft subtitles (use subtitleMode "burn")` });
+    }
+  }
+
+  return {
+    tracks: tracks.map(({ source, upload, language, title, default: isDefault }) => ({
+      url: source || null,
+      path: upload ? upload.path : null,
+      name: upload ? upload.originalname : path.basename(new URL(source).pathname),
+      language,
+      title: title || null,
+      default: isDefault
+    })),
+    errors
+  };
+}
+
+function subtitleSummary(mode, tracks) {
+  if (tracks.length === 0) return null;
+  return {
+    mode,
+    tracks: tracks.map(({ name, format, language, title, default: isDefault }) => ({ name, format, language, title, default: isDefault }))
+  };
+}
+
+// Baixa as legendas por URL e confere o formato com o ffprobe; retorna as faixas com path e format
+async function prepareSubtitles(job, tracks) {
+  const prepared = [];
+
+  if (tracks.some(track => track.url)) setJobPhase(job, 'download');
+  for (const [i, track] of tracks.entries()) {
+    if (!track.url) {
+      prepared.push({ ...track });
+      continue;
+    }
+    const downloadPath = trackTempFile(job, path.join('/tmp', `subtitle_${Date.now()}_${i}`));
+    await fetchToFile(track.url, downloadPath, { signal: job.abortController.signal, maxBytes: MAX_SUBTITLE_BYTES });
+    prepared.push({ ...track, path: downloadPath });
+  }
+
+  setJobPhase(job, 'subtitles');
+  for (const track of prepared) {
+    const { stdout } = await execJob(job, 'ffprobe', ['-v', 'error', '-show_streams', '-of', 'json', track.path]);
+    const stream = (JSON.parse(stdout).streams || []).find(s => s.codec_type === 'subtitle');
+    track.format = stream ? SUBTITLE_INPUT_CODECS[stream.codec_name] : null;
+    if (!track.format) {
+      throw new ProcessingError('INVALID_MEDIA', `Legenda "${track.name}" não é SRT, WebVTT ou ASS`);
+    }
+  }
+
+  logger.info(`💬 Legendas: ${prepared.map(track => `${track.name} (${track.format}, ${track.language})`).join(', ')}`);
+  return prepared;
+}
+
+// Início do stream de vídeo relativo ao container (s). O ffmpeg desloca cada entrada pelo início do container
+// (e pelo -ss), então é só essa diferença que separa o primeiro frame do tempo 0 das legendas.
+function videoStartSeconds(media) {
+  const start = media.video ? parseFloat(media.video.start_time) - (media.startSeconds || 0) : NaN;
+  return isFinite(start) && start > 0 ? start : 0;
+}
+
+// Argumentos de entrada de uma legenda: deslocamento e o mesmo corte (-ss/-t) aplicado ao vídeo.
+// Arquivos de legenda não têm início de container, então o cue em T chega em T - início do corte + offset.
+function subtitleInputArgs(track, { offsetSeconds = 0, range = null } = {}) {
+  return [
+    ...(offsetSeconds ? ['-itsoffset', String(offsetSeconds)] : []),
+    ...trimInputArgs(range),
+    '-i', track.path
+  ];
+}
+
+// Converte as legendas para ASS (alinhadas por timing, ver subtitleInputArgs) e retorna os filtros "subtitles"
+// do burn-in. Sem subtitleStyle no request usa os padrões do schema.
+async function prepareSubtitleBurn(job, tracks, requestedStyle, timing) {
+  const style = requestedStyle || validateSchema({}, SUBTITLES_SCHEMA.subtitleStyle.schema).values;
+  const { width, height } = SUBTITLE_STYLE_FRAME;
+  const forceStyle = [
+    `FontName=${style.font}`,
+    `FontSize=${Math.round(style.fontSize * ASS_PLAY_RES_Y / height)}`,
+    `PrimaryColour=${assColor(style.color)}`,
+    `OutlineColour=${assColor(style.outlineColor)}`,
+    'BorderStyle=1',
+    `Outline=${Math.round(style.outline * ASS_PLAY_RES_Y / height * 10) / 10}`,
+    'Shadow=0',
+    `Alignment=${SUBTITLE_ALIGNMENTS[style.position]}`,
+    `MarginV=${Math.round(style.marginV * ASS_PLAY_RES_Y / height)}`,
+    `MarginL=${Math.round(style.marginH * ASS_PLAY_RES_X / width)}`,
+    `MarginR=${Math.round(style.marginH * ASS_PLAY_RES_X / width)}`
+  ].join(',');
+
+  const filters = [];
+  for (const [i, track] of tracks.entries()) {
+    const assPath = trackTempFile(job, path.join('/tmp', `subtitle_${Date.now()}_${i}.ass`));
+    await execJob(job, 'ffmpeg', [...subtitleInputArgs(track, timing), '-c:s', 'ass', '-y', assPath]);
+    filters.push(track.format === 'ass'
+      ? `subtitles=filename='${assPath}'`
+      : `subtitles=filename='${assPath}':force_style='${forceStyle}'`);
+  }
+  return filters;
+}
+
+// RRGGBB -> &H00BBGGRR (ASS)
+function assColor(hex) {
+  const [r, g, b] = hex.replace('#', '').toUpperCase().match(/../g);
+  return `&H00${b}${g}${r}`;
+}
+
+// Adiciona as faixas soft a um vídeo pronto (stream copy). timing.offsetSeconds alinha as legendas ao início
+// do vídeo principal (início do stream + duração da intro, quando houver); timing.range é o corte da entrada.
+async function muxSoftSubtitles(job, videoPath, outputPath, tracks, format, timing) {
+  const container = CONTAINERS[format.container];
+  const inputs = tracks.flatMap(track => subtitleInputArgs(track, timing));
+  const maps = tracks.flatMap((track, i) => ['-map', `${i + 1}:s:0`]);
+  const metadata = tracks.flatMap((track, i) => [
+    `-metadata:s:s:${i}`, `language=${track.language}`,
+    ...(track.title ? [`-metadata:s:s:${i}`, `title=${track.title}`] : []),
+    `-disposition:s:${i}`, track.default ? 'default' : '0'
+  ]);
+
+  await execJob(job, 'ffmpeg', [
+    '-i', videoPath,
+    ...inputs,
+    '-map', '0', '-map', '-0:s',
+    ...maps,
+    '-c', 'copy',
+    '-c:s', container.subtitles,
+    ...metadata,
+    ...copyTagArgs(format),
+    ...(container.faststart ? ['-movflags', '+faststart'] : []),
+    '-y', outputPath
+  ]);
+}
+
+// ============================================
+// TRIM: Corte por tempo e auto-trim (silencedetect/blackdetect)
+// ============================================
+// O corte usa -ss/-t de entrada com re-encode, preciso no frame. O auto-trim remove do início e do fim
+// (dentro do intervalo pedido) os trechos em silêncio ou com frames pretos.
+const MAX_DETECTED_RANGES = 100;
+// Folga para considerar que um trecho detectado encosta no início/fim
+const AUTO_TRIM_EDGE_TOLERANCE = 0.1;
+// Auto-trim que deixaria menos que isso não é aplicado
+const AUTO_TRIM_MIN_REMAINING = 0.5;
+
+const TRIM_SCHEMA = {
+  trimStart: { type: 'number', min: 0 },
+  trimEnd: { type: 'number', min: 0 },
+  trimDuration: { type: 'number', min: 0.1 },
+  autoTrim: { type: 'boolean', default: false },
+  // Limiar de silêncio (dBFS) e duração mínima dos trechos de silêncio/preto
+  autoTrimSilenceDb: { type: 'number', min: -90, max: 0, default: -50 },
+  autoTrimMinSeconds: { type: 'number', min: 0.1, max: 60, default: 0.5 }
+};
+
+// Combinações que o schema não cobre (prefix: "trim" nos endpoints, "clips[i]." no /clips)
+function validateTrimRange({ start, end, duration }, fields) {
+  const errors = [];
+  if (end !== null && duration !== null) {
+    errors.push({ field: fields.duration, message: `send either ${fields.end} or ${fields.duration}, not both` });
+  }
+  if (end !== null && end <= (start || 0)) {
+    errors.push({ field: fields.end, message: `${fields.end} must be greater than ${fields.start}` });
+  }
+  return errors;
+}
+
+function validateTrim(options) {
+  return validateTrimRange(
+    { start: options.trimStart, end: options.trimEnd, duration: options.trimDuration },
+    { start: 'trimStart', end: 'trimEnd', duration: 'trimDuration' }
+  );
+}
+
+function hasTrim(options) {
+  return options.trimStart !== null || options.trimEnd !== null || options.trimDuration !== null || Boolean(options.autoTrim);
+}
+
+const roundSeconds = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// Intervalo { start, end, duration } limitado à duração da entrada (end/duration null = até o fim)
+function resolveTrimRange(mediaDuration, { start, end, duration }) {
+  const from = start || 0;
+  if (mediaDuration && from >= mediaDuration) {
+    throw new ProcessingError('INVALID_MEDIA', `Início do corte (${from}s) além da duração da entrada (${mediaDuration.toFixed(2)}s)`);
+  }
+
+  let to = end !== null && end !== undefined ? end : (duration ? from + duration : mediaDuration);
+  if (mediaDuration && to) to = Math.min(to, mediaDuration);
+  return {
+    start: roundSeconds(from),
+    end: to ? roundSeconds(to) : null,
+    duration: to ? roundSeconds(to - from) : null
+  };
+}
+
+// -ss/-t de entrada para o intervalo (vazio sem corte)
+function trimInputArgs(range) {
+  if (!range) return [];
+  return [
+    ...(range.start > 0 ? ['-ss', String(range.start)] : []),
+    ...(range.duration ? ['-t', String(range.duration)] : [])
+  ];
+}
+
+// Corte pedido + auto-trim; retorna { range, report } (range null = entrada inteira)
+async function planTrim(job, inputPath, media, options) {
+  if (!hasTrim(options)) return { range: null, report: null };
+
+  let range = resolveTrimRange(media.durationSeconds, { start: options.trimStart, end: options.trimEnd, duration: options.trimDuration });
+  let autoTrim = null;
+  if (options.autoTrim) {
+    setJobPhase(job, 'analyze');
+    ({ range, autoTrim } = await applyAutoTrim(job, inputPath, range, media, options));
+  }
+
+  logger.info(`✂️ Corte: ${range.start}s - ${range.end !== null ? `${range.end}s` : 'fim'}${autoTrim ? ` (auto-trim ${autoTrim.applied ? 'aplicado' : 'sem efeito'})` : ''}`);
+  return { range, report: { ...range, autoTrim } };
+}
+
+// Detecta silêncio e frames pretos no intervalo e remove os trechos colados no início e no fim
+async function applyAutoTrim(job, inputPath, range, media, { autoTrimSilenceDb, autoTrimMinSeconds }) {
+  const { silence, black } = await detectDeadRanges(job, inputPath, range, {
+    hasAudio: media.hasAudio,
+    silenceDb: autoTrimSilenceDb,
+    minSeconds: autoTrimMinSeconds
+  });
+
+  // Tempos relativos ao início do intervalo; sem duração conhecida só o início é cortado
+  const ranges = [...silence, ...black].sort((a, b) => a.start - b.start);
+  let head = 0;
+  for (const dead of ranges) {
+    if (dead.start > head + AUTO_TRIM_EDGE_TOLERANCE) break;
+    head = Math.max(head, dead.end);
+  }
+  let tail = range.duration;
+  if (tail !== null) {
+    for (const dead of [...ranges].sort((a, b) => b.end - a.end)) {
+      if (dead.end < tail - AUTO_TRIM_EDGE_TOLERANCE) break;
+      tail = Math.min(tail, dead.start);
+    }
+  }
+
+  const applied = (head > 0 || (tail !== null && tail < range.duration)) &&
+    (tail === null || tail - head >= AUTO_TRIM_MIN_REMAINING);
+  const absolute = (list) => list.slice(0, MAX_DETECTED_RANGES)
+    .map(dead => ({ start: roundSeconds(range.start + dead.start), end: roundSeconds(range.start + dead.end) }));
+  const autoTrim = {
+    applied: Boolean(applied),
+    removedStart: applied ? roundSeconds(head) : 0,
+    removedEnd: applied && tail !== null ? roundSeconds(range.duration - tail) : 0,
+    silence: absolute(silence),
+    black: absolute(black)
+  };
+  if (!applied) return { range, autoTrim };
+
+  const end = tail !== null ? range.start + tail : range.end;
+  return {
+    range: {
+      start: roundSeconds(range.start + head),
+      end: end !== null ? roundSeconds(end) : null,
+      duration: end !== null ? roundSeconds(end - range.start - head) : null
+    },
+    autoTrim
+  };
+}
+
+// Um passe de decodificação com blackdetect e silencedetect; tempos relativos ao início do intervalo
+async function detectDeadRanges(job, inputPath, range, { hasAudio, silenceDb, minSeconds }) {
+  const { stderr } = await execJob(job, 'ffmpeg', [
+    '-hide_banner', ...trimInputArgs(range), '-i', inputPath,
+    '-vf', `blackdetect=d=${minSeconds}:pix_th=0.10`,
+    ...(hasAudio ? ['-af', `silencedetect=n=${silenceDb}dB:d=${minSeconds}`] : ['-an']),
+    '-f', 'null', '-'
+  ], { maxBuffer: 50 * 1024 * 1024, progressDuration: range.duration });
+
+  const silence = [];
+  const black = [];
+  let silenceStart = null;
+  for (const line of stderr.split('\n')) {
+    const blackMatch = /black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)/.exec(line);
+    if (blackMatch) {
+      black.push({ start: parseFloat(blackMatch[1]), end: parseFloat(blackMatch[2]) });
+      continue;
+    }
+    const startMatch = /silence_start:\s*(-?[\d.]+)/.exec(line);
+    if (startMatch) {
+      silenceStart = Math.max(0, parseFloat(startMatch[1]));
+      continue;
+    }
+    const endMatch = /silence_end:\s*([\d.]+)/.exec(line);
+    if (endMatch && silenceStart !== null) {
+      silence.push({ start: silenceStart, end: parseFloat(endMatch[1]) });
+      silenceStart = null;
+    }
+  }
+  // Silêncio até o fim da entrada: versões antigas do ffmpeg não imprimem o silence_end final
+  if (silenceStart !== null && range.duration) silence.push({ start: silenceStart, end: range.duration });
+
+  return { silence, black };
+}
+
+// ============================================
+// ENDPOINT: /normalize (STREAMING ou R2)
+// ============================================
+app.post('/normalize', requireApiKey, enforceApiKeyQuota, uploadWithSubtitles({ video: true }), validateNotificationWebhook, async (req, res) => {
+  const schema = {
+    ...NORMALIZE_SCHEMA,
+    ...OUTPUT_FORMAT_SCHEMA,
+    ...BRANDING_SCHEMA,
+    ...SUBTITLES_SCHEMA,
+    ...TRIM_SCHEMA,
+    streamCopy: { type: 'boolean', default: true }
+  };
+  const { input, profile, errors: profileErrors } = applyProfile(req.body, schema);
+  const { values: options, errors } = validateSchema(input, schema);
+  errors.unshift(...validateVideoInput(req), ...profileErrors);
+  const { format: requestedFormat, errors: formatErrors } = resolveOutputFormat(options);
+  const { tracks: subtitles, errors: subtitleErrors } = resolveSubtitleTracks(req, options, formatErrors.length === 0 ? requestedFormat : null);
+  errors.push(...formatErrors, ...validateCodecCrf(options.crf, requestedFormat), ...validateBranding(options, requestedFormat), ...subtitleErrors, ...validateTrim(options));
+  if (errors.length > 0) {
+    return rejectInvalidParams(req, res, errors);
+  }
+
+  const { format, error: encoderError } = await resolveEncoders(requestedFormat);
+  if (encoderError) {
+    return rejectUnavailableEncoder(req, res, encoderError);
+  }
+
+  // Padrão documentado: videoUrl -> storage (stream se não houver storage), upload multipart -> stream
+  // ("r2" = alias de "storage")
+  const output = options.output || (req.file || !storage ? 'stream' : 'storage');
+  const targetStorage = output === 'stream' ? null : storage;
+  if (output !== 'stream' && !targetStorage) {
+    return rejectInvalidParams(req, res, [{ field: 'output', message: 'Storage is not configured (STORAGE_DRIVER or R2_* environment variables); use output "stream"' }]);
+  }
+
+  const job = createJob('normalize', req.body, req.apiKey);
+  if (req.file) trackTempFile(job, req.file.path);
+  for (const file of req.subtitleFiles) trackTempFile(job, file.path);
+
+  dispatchJob(req, res, job, (job) => processNormalize(job, {
+    ...videoInputParams(req),
+    ...options,
+    streamCopy: options.streamCopy && !requestsEncodeSettings(req.body),
+    branding: brandingOptions(options),
+    subtitles,
+    format,
+    profile: profile ? profile.name : null,
+    targetStorage,
+    userId: req.body.userId
+  }), 'Normalization failed');
+});
+
+// Entrada por upload multipart (campo "video") ou JSON "videoUrl"; retorna erros por campo
+function validateVideoInput(req) {
+  if (req.file) return [];
+  if (!req.body.videoUrl) {
+    return [{ field: 'videoUrl', message: 'No video file provided (send multipart "video" or JSON "videoUrl")' }];
+  }
+  return validateSchema(req.body, { videoUrl: { type: 'url' }, checksum: CHECKSUM_RULE }).errors;
+}
+
+function videoInputParams(req) {
+  return {
+    inputPath: req.file ? req.file.path : null,
+    videoUrl: req.file ? null : req.body.videoUrl,
+    checksum: req.file ? null : req.body.checksum || null,
+    originalName: req.file ? req.file.originalname : path.basename(new URL(req.body.videoUrl).pathname) || 'video.mp4'
+  };
+}
+
+// Rejeita a requisição removendo o upload do multer
+async function rejectVideoRequest(req, res, status, error) {
+  await removeUploads(req);
+  res.status(status).json({ error });
+}
+
+// Baixa a entrada quando veio por URL; retorna o caminho local
+async function resolveVideoInput(job, { inputPath, videoUrl, checksum }) {
+  if (!videoUrl) return inputPath;
+
+  setJobPhase(job, 'download');
+  logger.info(`📥 Baixando vídeo de URL: ${videoUrl.substring(0, 100)}...`);
+  const downloadPath = trackTempFile(job, path.join('/tmp', `input_${Date.now()}.mp4`));
+  await fetchToFile(videoUrl, downloadPath, {
+    signal: job.abortController.signal,
+    onProgress: transferProgress(job),
+    checksum
+  });
+  return downloadPath;
+}
+
+// Preset x264/x265 de cada nível de quality (o CRF do nível vem de VIDEO_CODECS[...].quality)
+const QUALITY_PRESETS = {
+  low: 'veryfast',
+  medium: 'medium',
+  high: 'slow'
+};
+
+const FIT_MODES = ['stretch', 'contain', 'cover', 'blur'];
+
+// Opções de enquadramento
+const FIT_SCHEMA = {
+  fit: { type: 'string', enum: FIT_MODES, default: 'stretch' },
+  padColor: {
+    type: 'string',
+    pattern: /^((#|0x)?[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|[a-zA-Z]+)$/,
+    message: 'must be a color name or hex RRGGBB[AA]',
+    default: 'black'
+  },
+  focusX: { type: 'number', min: 0, max: 1, default: 0.5 },
+  focusY: { type: 'number', min: 0, max: 1, default: 0.5 },
+  blurStrength: { type: 'integer', min: 1, max: 50, default: 20 }
+};
+
+// Filtro de vídeo para o enquadramento no tamanho alvo:
+// stretch (distorce), contain (barras), cover (corta com foco) e blur (fundo desfocado)
+function buildFitFilter({ targetWidth, targetHeight, fit = 'stretch', padColor = 'black', focusX = 0.5, focusY = 0.5, blurStrength = 20 }) {
+  const width = Math.floor(targetWidth / 2) * 2;
+  const height = Math.floor(targetHeight / 2) * 2;
+
+  switch (fit) {
+    case 'contain':
+      return `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${padColor},setsar=1`;
+    case 'cover':
+      return `scale=${width}:${height}:force_original_aspect_ratio=increase,` +
+        `crop=${width}:${height}:(iw-ow)*${focusX}:(ih-oh)*${focusY},setsar=1`;
+    case 'blur':
+      return `split=2[bgsrc][fgsrc];` +
+        `[bgsrc]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=${blurStrength}:2[bg];` +
+        `[fgsrc]scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2[fg];` +
+        `[bg][fg]overlay=(W-w)/2:(H-h)/2,setsar=1`;
+    default:
+      return `scale=${width}:${height},setsar=1`;
+  }
+}
+
+const LOUDNESS_MODES = ['single', 'two-pass'];
+
+// Alvos de loudness (EBU R128): LUFS, LU e dBTP
+const LOUDNESS_SCHEMA = {
+  loudnessMode: { type: 'string', enum: LOUDNESS_MODES, default: 'single' },
+  loudnessI: { type: 'number', min: -70, max: -5, default: -16 },
+  loudnessLRA: { type: 'number', min: 1, max: 50, default: 11 },
+  loudnessTP: { type: 'number', min: -9, max: 0, default: -1.5 }
+};
+
+// Parâmetros de normalização compartilhados por /normalize e /concat
+const NORMALIZE_SCHEMA = {
+  targetWidth: { type: 'integer', min: 16, max: 7680, default: 1080 },
+  targetHeight: { type: 'integer', min: 16, max: 7680, default: 1920 },
+  fps: { type: 'number', min: 1, max: 120, default: 30 },
+  quality: { type: 'string', enum: Object.keys(QUALITY_PRESETS), default: 'medium' },
+  // crf/preset explícitos substituem os do nível de quality
+  crf: { type: 'integer', min: 0, max: 63 },
+  preset: { type: 'string', enum: X264_PRESETS },
+  maxBitrate: { type: 'integer', min: 100, max: 100000 },
+  audioBitrate: { type: 'integer', min: 32, max: 320, default: 128 },
+  sampleRate: { type: 'integer', enum: [22050, 32000, 44100, 48000], default: 44100 },
+  channels: { type: 'integer', min: 1, max: 2, default: 2 },
+  ...FIT_SCHEMA,
+  ...LOUDNESS_SCHEMA,
+  output: { type: 'string', enum: ['stream', 'storage', 'r2'] },
+  outputKey: STORAGE_KEY_RULE
+};
+
+// loudnorm: 1 passe (dinâmico) ou 2º passe linear com os valores medidos
+function buildLoudnormFilter({ loudnessI = -16, loudnessLRA = 11, loudnessTP = -1.5 }, measured = null) {
+  let filter = `loudnorm=I=${loudnessI}:LRA=${loudnessLRA}:TP=${loudnessTP}`;
+  if (measured) {
+    filter += `:measured_I=${measured.input_i}:measured_LRA=${measured.input_lra}` +
+      `:measured_TP=${measured.input_tp}:measured_thresh=${measured.input_thresh}` +
+      `:offset=${measured.target_offset}:linear=true`;
+  }
+  return `${filter}:print_format=json`;
+}
+
+// Extrai o bloco JSON impresso pelo loudnorm (print_format=json) no stderr
+function parseLoudnormStats(stderr) {
+  const blocks = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) return null;
+  try {
+    return JSON.parse(blocks[blocks.length - 1]);
+  } catch (e) {
+    return null;
+  }
+}
+
+// 1º passe: mede o loudness da entrada sem gerar saída
+async function measureLoudness(job, inputPath, options) {
+  const { stderr } = await execJob(job, 'ffmpeg',
+    ['-hide_banner', ...trimInputArgs(options.trim), '-i', inputPath, '-vn', '-af', buildLoudnormFilter(options), '-f', 'null', '-'],
+    { maxBuffer: 50 * 1024 * 1024 }
+  );
+  return parseLoudnormStats(stderr);
+}
+
+// Parâmetros efetivos do encode de normalização (quality define crf/preset quando não vêm explícitos)
+function normalizeEncodeSettings(options, format = DEFAULT_OUTPUT_FORMAT) {
+  const quality = QUALITY_PRESETS[options.quality] ? options.quality : 'medium';
+  const videoCodec = format.videoCodec ? VIDEO_CODECS[format.videoCodec] : null;
+  const audioCodec = AUDIO_CODECS[format.audioCodec];
+  const hasValue = (value) => value !== undefined && value !== null;
+
+  return {
+    fps: options.fps || 30,
+    crf: hasValue(options.crf) ? options.crf : (videoCodec ? videoCodec.quality[quality] : null),
+    preset: options.preset || QUALITY_PRESETS[quality],
+    audioBitrate: options.audioBitrate || 128,
+    // Encoders com taxa fixa (Opus) prevalecem sobre sampleRate
+    sampleRate: audioCodec.sampleRate || options.sampleRate || 44100,
+    channels: options.channels || 2
+  };
+}
+
+// Teto de bitrate (kbps) junto com CRF, só em encoders com VBV
+function maxBitrateArgs(videoCodec, maxBitrate) {
+  return maxBitrate && videoCodec.vbv ? ['-maxrate', `${maxBitrate}k`, '-bufsize', `${maxBitrate * 2}k`] : [];
+}
+
+// Argumentos de normalização compartilhados por /normalize, /concat e /clips (concat usa sempre o formato padrão).
+// options.trim (resolveTrimRange) corta a entrada.
+// Entradas sem áudio recebem trilha estéreo silenciosa (concat exige o mesmo layout).
+// Com options.branding (já preparado por prepareBranding) o vídeo passa por -filter_complex;
+// options.subtitleFilters (burn-in) vêm por último, acima do resto.
+function buildNormalizeArgs(inputPath, outputPath, options) {
+  const format = options.format || DEFAULT_OUTPUT_FORMAT;
+  const videoCodec = format.videoCodec ? VIDEO_CODECS[format.videoCodec] : null;
+  const audioCodec = AUDIO_CODECS[format.audioCodec];
+  const settings = normalizeEncodeSettings(options, format);
+  const branding = videoCodec && options.branding && hasVideoBranding(options.branding) ? options.branding : null;
+
+  const inputs = [...trimInputArgs(options.trim), '-i', inputPath];
+  if (branding && branding.watermark) inputs.push('-i', branding.watermark.path);
+  const silentInputIndex = branding && branding.watermark ? 2 : 1;
+  if (options.hasAudio === false) {
+    inputs.push('-f', 'lavfi', '-i', `anullsrc=channel_layout=${settings.channels === 1 ? 'mono' : 'stereo'}:sample_rate=${settings.sampleRate}`);
+  }
+
+  const videoMap = branding ? '[vout]' : '0:v:0';
+  let maps = [];
+  if (options.hasAudio === false) maps = ['-map', videoMap, '-map', `${silentInputIndex}:a:0`, '-shortest'];
+  else if (branding) maps = ['-map', videoMap, '-map', '0:a:0'];
+
+  const audioFilter = options.hasAudio === false
+    ? []
+    : ['-af', `${buildLoudnormFilter(options, options.measuredLoudness)},aresample=async=1`];
+  const videoArgs = videoCodec
+    ? [
+      ...(branding
+        ? ['-filter_complex', buildBrandingFilter(options, branding)]
+        : ['-vf', [buildFitFilter(options), ...(options.subtitleFilters || [])].join(',')]),
+      '-r', String(settings.fps),
+      ...videoCodec.args(format.videoEncoder, { preset: settings.preset }),
+      ...videoCodec.crfArgs(format.videoEncoder, settings.crf),
+      ...maxBitrateArgs(videoCodec, options.maxBitrate),
+      '-pix_fmt', 'yuv420p',
+      '-vsync', 'cfr'
+    ]
+    : ['-vn'];
+
+  return [
+    ...inputs,
+    ...maps,
+    ...videoArgs,
+    ...audioCodec.args(format.audioEncoder, settings.audioBitrate),
+    '-ar', String(settings.sampleRate), '-ac', String(settings.channels),
+    ...audioFilter,
+    ...(CONTAINERS[format.container].faststart ? ['-movflags', '+faststart'] : []),
+    '-async', '1',
+    '-avoid_negative_ts', 'make_zero',
+    '-fflags', '+genpts',
+    '-y', outputPath
+  ];
+}
+
+// Normaliza um clipe já baixado e retorna o relatório de loudness (antes/depois)
+async function normalizeClip(job, inputPath, outputPath, params, { hasAudio, durationSeconds }) {
+  let measured = null;
+
+  if (hasAudio && params.loudnessMode === 'two-pass') {
+    const phase = job.phase;
+    setJobPhase(job, 'loudness');
+    logger.info('🔊 Medindo loudness (1º passe)...');
+    measured = await measureLoudness(job, inputPath, params);
+    // Entrada silenciosa (-inf) não tem como ser normalizada linearmente
+    if (measured && !isFinite(parseFloat(measured.input_i))) measured = null;
+    setJobPhase(job, phase);
+  }
+
+  if (!hasAudio) {
+    logger.info('🔇 Entrada sem áudio - adicionando trilha silenciosa');
+  }
+
+  const { stderr } = await execJob(job, 'ffmpeg',
+    buildNormalizeArgs(inputPath, outputPath, { ...params, hasAudio, measuredLoudness: measured }),
+    { maxBuffer: 50 * 1024 * 1024, progressDuration: durationSeconds }
+  );
+
+  const stats = hasAudio ? parseLoudnormStats(stderr) : null;
+  const toNumber = (value) => (isFinite(parseFloat(value)) ? parseFloat(value) : null);
+
+  return {
+    mode: measured ? 'two-pass' : 'single',
+    target: { integrated: params.loudnessI, range: params.loudnessLRA, truePeak: params.loudnessTP },
+    input: stats ? { integrated: toNumber(stats.input_i), range: toNumber(stats.input_lra), truePeak: toNumber(stats.input_tp) } : null,
+    output: stats ? { integrated: toNumber(stats.output_i), range: toNumber(stats.output_lra), truePeak: toNumber(stats.output_tp) } : null,
+    silentTrackAdded: !hasAudio
+  };
+}
+
+// Probe completo (todos os streams e o formato). video é o ffprobe bruto do primeiro stream de vídeo
+// (capas/attached_pic ignoradas); report é o relatório de buildMediaReport.
+async function probeMedia(job, filePath, { requireVideo = true } = {}) {
+  const { stdout } = await execJob(job, 'ffprobe',
+    ['-v', 'error', '-show_streams', '-show_format', '-of', 'json', filePath]
+  );
+  const info = JSON.parse(stdout);
+  const streams = info.streams || [];
+  const video = streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+
+  if (!video && requireVideo) {
+    throw new ProcessingError('INVALID_MEDIA', 'Arquivo não contém stream de vídeo');
+  }
+
+  const report = buildMediaReport(info);
+  const startSeconds = parseFloat((info.format || {}).start_time);
+  return {
+    video,
+    hasAudio: Boolean(report.audio),
+    durationSeconds: report.durationSeconds,
+    startSeconds: isFinite(startSeconds) ? startSeconds : 0,
+    report
+  };
+}
+
+// Relatório do ffprobe: streams, fps/VFR, rotação, cor e layout de áudio
+function buildMediaReport(info) {
+  const format = info.format || {};
+  const toNumber = (value) => (isFinite(parseFloat(value)) ? parseFloat(value) : null);
+  const parseRate = (rate) => {
+    const [num, den] = String(rate || '').split('/').map(Number);
+    return num && den ? Math.round(num / den * 1000) / 1000 : null;
+  };
+
+  const streams = (info.streams || []).map((stream) => {
+    const tags = stream.tags || {};
+    const disposition = stream.disposition || {};
+    const entry = {
+      index: stream.index,
+      type: stream.codec_type,
+      codec: stream.codec_name || null,
+      profile: stream.profile || null,
+      bitrate: toNumber(stream.bit_rate),
+      language: tags.language || null,
+      default: disposition.default === 1
+    };
+
+    if (stream.codec_type === 'video') {
+      // Display matrix (side data) tem sinal invertido em relação à tag "rotate"
+      const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+      const rawRotation = sideData ? -sideData.rotation : toNumber(tags.rotate) || 0;
+      const rotation = ((Math.round(rawRotation) % 360) + 360) % 360;
+      const rotated = rotation === 90 || rotation === 270;
+      const fps = parseRate(stream.avg_frame_rate);
+      const baseFps = parseRate(stream.r_frame_rate);
+
+      Object.assign(entry, {
+        width: stream.width,
+        height: stream.height,
+        displayWidth: rotated ? stream.height : stream.width,
+        displayHeight: rotated ? stream.width : stream.height,
+        rotation,
+        fps,
+        // avg_frame_rate diferente de r_frame_rate indica frame rate variável
+        vfr: Boolean(fps && baseFps && Math.abs(fps - baseFps) / baseFps > 0.01),
+        pixelFormat: stream.pix_fmt || null,
+        color: {
+          range: stream.color_range || null,
+          space: stream.color_space || null,
+          transfer: stream.color_transfer || null,
+          primaries: stream.color_primaries || null
+        },
+        hdr: ['smpte2084', 'arib-std-b67'].includes(stream.color_transfer),
+        attachedPicture: disposition.attached_pic === 1
+      });
+    } else if (stream.codec_type === 'audio') {
+      Object.assign(entry, {
+        sampleRate: toNumber(stream.sample_rate),
+        channels: stream.channels || null,
+        channelLayout: stream.channel_layout || null
+      });
+    }
+
+    return entry;
+  });
+
+  return {
+    container: format.format_name || null,
+    durationSeconds: toNumber(format.duration),
+    size: toNumber(format.size),
+    bitrate: toNumber(format.bit_rate),
+    video: streams.find(s => s.type === 'video' && !s.attachedPicture) || null,
+    audio: streams.find(s => s.type === 'audio') || null,
+    streams
+  };
+}
+
+// Loudness medido (1º passe do loudnorm) no formato do relatório
+function loudnessReport(stats) {
+  if (!stats) return null;
+  const toNumber = (value) => (isFinite(parseFloat(value)) ? parseFloat(value) : null);
+  return { integrated: toNumber(stats.input_i), range: toNumber(stats.input_lra), truePeak: toNumber(stats.input_tp) };
+}
+
+// Tolerância do loudness integrado para aceitar a entrada sem reprocessar
+const LOUDNESS_TOLERANCE_LU = 1;
+
+// A entrada já atende ao alvo de normalização (e pode ser só remuxada)? issues lista cada divergência.
+// loudness: undefined = não verificado, null = não mensurável.
+function checkNormalizeCompatibility(report, target, loudness) {
+  const { format, targetWidth, targetHeight, loudnessI, loudnessTP } = target;
+  const issues = [];
+  const expect = (field, expected, actual, ok = expected === actual) => {
+    if (!ok) issues.push({ field, expected, actual });
+  };
+
+  if (format.videoCodec) {
+    const video = report.video || {};
+    expect('video.codec', format.videoCodec, video.codec || null);
+    expect('video.pixelFormat', 'yuv420p', video.pixelFormat || null);
+    expect('video.width', targetWidth, video.displayWidth || null);
+    expect('video.height', targetHeight, video.displayHeight || null);
+    expect('video.rotation', 0, video.rotation || 0);
+    expect('video.fps', target.fps, video.fps || null, Math.abs((video.fps || 0) - target.fps) < 0.01);
+    expect('video.vfr', false, Boolean(video.vfr));
+    // Teto em kbps; sem bitrate conhecido (stream ou container) não dá para garantir o limite
+    if (target.maxBitrate) {
+      const bitrate = video.bitrate || report.bitrate;
+      const kbps = bitrate ? Math.round(bitrate / 1000) : null;
+      expect('video.bitrate', target.maxBitrate, kbps, kbps !== null && kbps <= target.maxBitrate);
+    }
+  }
+
+  const audio = report.audio || {};
+  expect('audio.codec', format.audioCodec, audio.codec || null);
+  expect('audio.sampleRate', normalizeEncodeSettings(target, format).sampleRate, audio.sampleRate || null);
+  expect('audio.channels', target.channels, audio.channels || null);
+
+  if (loudness !== undefined) {
+    const integrated = loudness ? loudness.integrated : null;
+    const truePeak = loudness ? loudness.truePeak : null;
+    expect('loudness.integrated', loudnessI, integrated,
+      integrated !== null && Math.abs(integrated - loudnessI) <= LOUDNESS_TOLERANCE_LU);
+    expect('loudness.truePeak', loudnessTP, truePeak, truePeak !== null && truePeak <= loudnessTP);
+  }
+
+  return {
+    compatible: issues.length === 0,
+    action: issues.length === 0 ? 'remux' : 'encode',
+    loudnessChecked: loudness !== undefined,
+    issues
+  };
+}
+
+// crf/quality/preset/maxBitrate enviados pelo cliente pedem reencode: o remux os ignoraria
+const ENCODE_SETTING_FIELDS = ['crf', 'quality', 'preset', 'maxBitrate'];
+
+function requestsEncodeSettings(body) {
+  return ENCODE_SETTING_FIELDS.some(field => body[field] !== undefined && body[field] !== null && body[field] !== '');
+}
+
+// HEVC copiado para MP4/MOV mantém a tag hvc1 (Safari/QuickTime)
+function copyTagArgs(format) {
+  return format.videoCodec === 'hevc' && ['mp4', 'mov'].includes(format.container) ? ['-tag:v', 'hvc1'] : [];
+}
+
+// Junta clipes com os mesmos parâmetros de encode (concat demuxer, sem re-encode)
+async function joinClips(job, clipPaths, outputPath, { format = DEFAULT_OUTPUT_FORMAT, durationSeconds } = {}) {
+  const listPath = trackTempFile(job, path.join('/tmp', `concat_${Date.now()}.txt`));
+  await fs.writeFile(listPath, clipPaths.map(p => `file '${p}'`).join('\n'));
+  await execJob(job, 'ffmpeg', [
+    '-f', 'concat', '-safe', '0', '-i', listPath,
+    '-c', 'copy',
+    ...copyTagArgs(format),
+    ...(CONTAINERS[format.container].faststart ? ['-movflags', '+faststart'] : []),
+    '-y', outputPath
+  ], { maxBuffer: 50 * 1024 * 1024, progressDuration: durationSeconds });
+}
+
+// Saída por stream copy: só reescreve timestamps e o container
+async function remuxClip(job, inputPath, outputPath, format, report) {
+  const maps = [
+    ...(format.videoCodec ? ['-map', `0:${report.video.index}`] : []),
+    '-map', `0:${report.audio.index}`
+  ];
+  const tagArgs = copyTagArgs(format);
+
+  await execJob(job, 'ffmpeg', [
+    '-i', inputPath,
+    ...maps,
+    '-c', 'copy',
+    ...tagArgs,
+    ...(CONTAINERS[format.container].faststart ? ['-movflags', '+faststart'] : []),
+    '-avoid_negative_ts', 'make_zero',
+    '-fflags', '+genpts',
+    '-y', outputPath
+  ], { progressDuration: report.durationSeconds });
+}
+
+function loudnessHeaders(loudness) {
+  const headers = { 'X-Loudness-Mode': loudness.mode };
+  if (loudness.input) {
+    headers['X-Loudness-Input-I'] = String(loudness.input.integrated);
+    headers['X-Loudness-Input-TP'] = String(loudness.input.truePeak);
+  }
+  if (loudness.output) {
+    headers['X-Loudness-Output-I'] = String(loudness.output.integrated);
+    headers['X-Loudness-Output-TP'] = String(loudness.output.truePeak);
+  }
+  return headers;
+}
+
+async function processNormalize(job, params) {
+  const { originalName, quality, targetStorage, format } = params;
+  const { contentType } = CONTAINERS[format.container];
+  const startTime = Date.now();
+  const inputPath = await resolveVideoInput(job, params);
+
+  const { size } = await fs.stat(inputPath);
+  const safeName = path.parse(originalName).name.replace(/[^a-zA-Z0-9_-]/g, '_') || 'video';
+  const outputPath = trackTempFile(job, path.join('/tmp', `normalized_${Date.now()}_${safeName}.${format.container}`));
+
+  logger.info(`📥 Normalizando: ${originalName} (${(size / 1024 / 1024).toFixed(2)}MB)`);
+
+  setJobPhase(job, 'probe');
+  // Saída somente áudio aceita entrada sem vídeo
+  const media = await probeMedia(job, inputPath, { requireVideo: Boolean(format.videoCodec) });
+  const stream = media.video;
+
+  logger.info(`📊 ${stream ? `${stream.codec_name}, ${stream.width}x${stream.height}` : 'sem vídeo'}${media.hasAudio ? '' : ' (sem áudio)'}`);
+  if (!format.videoCodec && !media.hasAudio) {
+    throw new ProcessingError('INVALID_MEDIA', 'Entrada não contém áudio para uma saída somente áudio');
+  }
+
+  const trim = await planTrim(job, inputPath, media, params);
+  // Com corte, o encode e o progresso consideram só o intervalo
+  const clipMedia = trim.range ? { ...media, durationSeconds: trim.range.duration } : media;
+
+  const branding = params.branding ? await prepareBranding(job, params.branding) : null;
+  const bumpers = branding ? [branding.intro, branding.outro].filter(Boolean) : [];
+  const subtitles = params.subtitles.length > 0 ? await prepareSubtitles(job, params.subtitles) : [];
+  const burnSubtitles = params.subtitleMode === 'burn' && subtitles.length > 0;
+  const softSubtitles = params.subtitleMode === 'soft' ? subtitles : [];
+  const subtitleFilters = burnSubtitles
+    ? await prepareSubtitleBurn(job, subtitles, params.subtitleStyle, { offsetSeconds: videoStartSeconds(media), range: trim.range })
+    : [];
+
+  // Legendas soft entram num remux final; com intro/outro o vídeo principal é normalizado à parte
+  // e depois unido às vinhetas
+  const videoPath = softSubtitles.length > 0
+    ? trackTempFile(job, path.join('/tmp', `normalized_${Date.now()}_video.${format.container}`))
+    : outputPath;
+  const mainPath = bumpers.length > 0
+    ? trackTempFile(job, path.join('/tmp', `normalized_${Date.now()}_main.${format.container}`))
+    : videoPath;
+
+  // Entrada já conforme ao alvo: remux com stream copy em vez de reencode.
+  // O loudness (passe só de áudio) é medido apenas quando o resto já confere.
+  let loudness = null;
+  if (params.streamCopy && !trim.range && !branding && !burnSubtitles && checkNormalizeCompatibility(media.report, params).compatible) {
+    setJobPhase(job, 'loudness');
+    const measured = loudnessReport(await measureLoudness(job, inputPath, params));
+    if (checkNormalizeCompatibility(media.report, params, measured).compatible) {
+      setJobPhase(job, 'remux');
+      logger.info('⚡ Entrada já normalizada - remux com stream copy');
+      await remuxClip(job, inputPath, mainPath, format, media.report);
+      loudness = {
+        mode: 'copy',
+        target: { integrated: params.loudnessI, range: params.loudnessLRA, truePeak: params.loudnessTP },
+        input: measured,
+        output: measured,
+        silentTrackAdded: false
+      };
+    }
+  }
+
+  if (!loudness) {
+    setJobPhase(job, 'encode');
+    logger.info(`⚙️ Normalizando (${quality}, ${format.videoCodec || 'sem vídeo'}/${format.audioCodec} em ${format.container}, fit ${params.fit}, loudness ${params.loudnessMode})...`);
+    loudness = await normalizeClip(job, inputPath, mainPath, { ...params, branding, subtitleFilters, trim: trim.range }, clipMedia);
+  }
+  const streamCopy = loudness.mode === 'copy';
+
+  // Entrada não é mais necessária
+  await fs.unlink(inputPath).catch(() => {});
+
+  let introSeconds = 0;
+  if (bumpers.length > 0) {
+    ({ introSeconds } = await attachBumpers(job, mainPath, videoPath, { ...params, branding: null, subtitleFilters: [], trim: null }, branding, clipMedia.durationSeconds));
+  }
+
+  if (softSubtitles.length > 0) {
+    setJobPhase(job, 'subtitles');
+    logger.info(`💬 Adicionando ${softSubtitles.length} faixa(s) de legenda...`);
+    const muxed = await probeMedia(job, videoPath);
+    await muxSoftSubtitles(job, videoPath, outputPath, softSubtitles, format, {
+      offsetSeconds: videoStartSeconds(muxed) + introSeconds,
+      range: trim.range
+    });
+  }
+
+  const stats = await fs.stat(outputPath);
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  logger.info(`✅ Completo em ${processingTime}s (${(stats.size / 1024 / 1024).toFixed(2)}MB)`);
+
+  if (targetStorage) {
+    setJobPhase(job, 'upload');
+    const key = params.outputKey || `${buildStorageKey('normalized', originalName, params.userId)}.${format.container}`;
+    logger.info(`☁️ Upload para ${targetStorage.name}: ${key}`);
+
+    const stored = await storeOutput(job, targetStorage, outputPath, key, contentType);
+
+    return {
+      body: {
+        success: true,
+        videoUrl: stored.url,
+        key: stored.key,
+        storage: targetStorage.name,
+        bucket: targetStorage.bucket,
+        size: stored.size,
+        format: outputFormatSummary(format),
+        profile: params.profile || null,
+        streamCopy,
+        branding: brandingSummary(params.branding),
+        subtitles: subtitleSummary(params.subtitleMode, subtitles),
+        trim: trim.report,
+        loudness,
+        processingTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+      }
+    };
+  }
+
+  // STREAMING: Arquivo enviado via stream (não carregar em RAM)
+  return {
+    body: {
+      success: true,
+      originalName,
+      size: stats.size,
+      format: outputFormatSummary(format),
+      profile: params.profile || null,
+      streamCopy,
+      branding: brandingSummary(params.branding),
+      subtitles: subtitleSummary(params.subtitleMode, subtitles),
+      trim: trim.report,
+      loudness,
+      processingTime: parseFloat(processingTime)
+    },
+    file: {
+      path: outputPath,
+      headers: {
+        'Content-Type': contentType,
+        'X-Processing-Time': processingTime,
+        'X-Stream-Copy': String(streamCopy),
+        ...loudnessHeaders(loudness)
+      }
+    }
+  };
+}
+
+// ============================================
+// BRANDING: Marca d'água, legendas e vinhetas (intro/outro) no /normalize
+// ============================================
+const BRANDING_POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+
+// Nome, hex RRGGBB[AA] ou qualquer um deles com @opacidade (ex.: black@0.5)
+const BRANDING_COLOR_PATTERN = /^((#|0x)?[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|[a-zA-Z]+)(@(0(\.\d+)?|1(\.0+)?))?$/;
+
+// Intervalo em segundos do vídeo principal; sem end vai até o fim (campos ausentes chegam como null)
+const BRANDING_TIME_SCHEMA = {
+  start: { type: 'number', min: 0 },
+  end: { type: 'number', min: 0 }
+};
+
+const BRANDING_SCHEMA = {
+  watermark: {
+    type: 'object',
+    schema: {
+      url: { type: 'url', required: true },
+      position: { type: 'string', enum: BRANDING_POSITIONS, default: 'bottom-right' },
+      margin: { type: 'integer', min: 0, max: 2000, default: 24 },
+      opacity: { type: 'number', min: 0, max: 1, default: 1 },
+      // Largura da marca relativa à largura do vídeo
+      scale: { type: 'number', min: 0.01, max: 1, default: 0.15 },
+      ...BRANDING_TIME_SCHEMA
+    }
+  },
+  captions: {
+    type: 'array',
+    maxItems: 20,
+    items: {
+      type: 'object',
+      schema: {
+        text: { type: 'string', required: true, maxLength: 1000 },
+        // fontUrl (TTF/OTF, em cache) tem precedência sobre font (família do fontconfig)
+        fontUrl: { type: 'url' },
+        font: { type: 'string', pattern: /^[A-Za-z0-9 _-]{1,64}$/, message: 'may only contain letters, numbers, spaces, "_" and "-"', default: 'Sans' },
+        fontSize: { type: 'integer', min: 8, max: 500, default: 48 },
+        color: { type: 'string', pattern: BRANDING_COLOR_PATTERN, message: 'must be a color name or hex RRGGBB[AA], optionally with @opacity', default: 'white' },
+        box: { type: 'boolean', default: false },
+        boxColor: { type: 'string', pattern: BRANDING_COLOR_PATTERN, message: 'must be a color name or hex RRGGBB[AA], optionally with @opacity', default: 'black@0.5' },
+        boxPadding: { type: 'integer', min: 0, max: 200, default: 12 },
+        position: { type: 'string', enum: BRANDING_POSITIONS, default: 'bottom' },
+        margin: { type: 'integer', min: 0, max: 2000, default: 48 },
+        ...BRANDING_TIME_SCHEMA
+      }
+    }
+  },
+  intro: { type: 'url' },
+  outro: { type: 'url' }
+};
+
+// Erros que o schema não cobre: intervalos invertidos e branding em saída somente áudio
+function validateBranding(options, format) {
+  const errors = [];
+  const ranges = [
+    ...(options.watermark ? [['watermark', options.watermark]] : []),
+    ...(options.captions || []).map((caption, i) => [`captions[${i}]`, caption])
+  ];
+  for (const [field, { start, end }] of ranges) {
+    if (end !== null && end <= (start || 0)) {
+      errors.push({ field: `${field}.end`, message: `${field}.end must be greater than start` });
+    }
+  }
+
+  if (brandingOptions(options) && format && !format.videoCodec) {
+    errors.push({ field: 'container', message: 'watermark, captions, intro and outro require a video output' });
+  }
+  return errors;
+}
+
+// Campos de branding validados, ou null quando o request não pede nenhum
+function brandingOptions({ watermark, captions, intro, outro }) {
+  const branding = {
+    watermark: watermark || null,
+    captions: captions && captions.length > 0 ? captions : [],
+    intro: intro || null,
+    outro: outro || null
+  };
+  return branding.watermark || branding.captions.length > 0 || branding.intro || branding.outro ? branding : null;
+}
+
+function hasVideoBranding(branding) {
+  return Boolean(branding.watermark) || branding.captions.length > 0;
+}
+
+function brandingSummary(branding) {
+  if (!branding) return null;
+  return {
+    watermark: Boolean(branding.watermark),
+    captions: branding.captions.length,
+    intro: Boolean(branding.intro),
+    outro: Boolean(branding.outro)
+  };
+}
+
+// Baixa os assets (via cache) e grava o texto das legendas em arquivos (drawtext textfile, sem escaping)
+async function prepareBranding(job, branding) {
+  setJobPhase(job, 'assets');
+  const prepared = { watermark: null, captions: [], intro: null, outro: null };
+
+  if (branding.watermark) {
+    prepared.watermark = { ...branding.watermark, path: await fetchAsset(job, branding.watermark.url) };
+  }
+  for (const [i, caption] of branding.captions.entries()) {
+    const textPath = trackTempFile(job, path.join('/tmp', `asset_${Date.now()}_caption_${i}.txt`));
+    await fs.writeFile(textPath, caption.text);
+    prepared.captions.push({
+      ...caption,
+      textPath,
+      fontPath: caption.fontUrl ? await fetchAsset(job, caption.fontUrl) : null
+    });
+  }
+  if (branding.intro) prepared.intro = await fetchAsset(job, branding.intro);
+  if (branding.outro) prepared.outro = await fetchAsset(job, branding.outro);
+
+  logger.info(`🏷️ Branding: ${Object.entries(brandingSummary(branding)).filter(([, v]) => v).map(([k]) => k).join(', ')}`);
+  return prepared;
+}
+
+// Expressões x/y de overlay (W/H/w/h) ou drawtext (w/h/text_w/text_h) para a posição nomeada
+function positionExpressions(position, margin, { frameWidth, frameHeight, itemWidth, itemHeight }) {
+  const [vertical, horizontal] = position.includes('-')
+    ? position.split('-')
+    : (['left', 'right'].includes(position) ? ['center', position] : [position, 'center']);
+
+  const axis = (side, start, frame, item) => {
+    if (side === start) return String(margin);
+    if (side === 'center') return `(${frame}-${item})/2`;
+    return `${frame}-${item}-${margin}`;
+  };
+  return {
+    x: axis(horizontal, 'left', frameWidth, itemWidth),
+    y: axis(vertical, 'top', frameHeight, itemHeight)
+  };
+}
+
+function enableExpression({ start, end }) {
+  if (start === null && end === null) return '';
+  if (end === null) return `:enable='gte(t,${start})'`;
+  return `:enable='between(t,${start || 0},${end})'`;
+}
+
+// Filtergraph: enquadramento -> marca d'água (entrada 1) -> textos -> legendas (burn-in); saída [vout]
+function buildBrandingFilter(options, branding) {
+  const width = Math.floor(options.targetWidth / 2) * 2;
+  const chains = [`[0:v]${buildFitFilter(options)}[base]`];
+  let current = 'base';
+
+  if (branding.watermark) {
+    const { position, margin, opacity, scale } = branding.watermark;
+    const watermarkWidth = Math.max(2, Math.round(width * scale / 2) * 2);
+    const { x, y } = positionExpressions(position, margin, { frameWidth: 'W', frameHeight: 'H', itemWidth: 'w', itemHeight: 'h' });
+    chains.push(`[1:v]scale=${watermarkWidth}:-1,format=rgba,colorchannelmixer=aa=${opacity}[wm]`);
+    chains.push(`[${current}][wm]overlay=x=${x}:y=${y}${enableExpression(branding.watermark)}[watermarked]`);
+    current = 'watermarked';
+  }
+
+  const overlays = branding.captions.map((caption) => {
+    const { x, y } = positionExpressions(caption.position, caption.margin, { frameWidth: 'w', frameHeight: 'h', itemWidth: 'text_w', itemHeight: 'text_h' });
+    const font = caption.fontPath ? `fontfile='${caption.fontPath}'` : `font='${caption.font}'`;
+    const box = caption.box ? `:box=1:boxcolor=${caption.boxColor}:boxborderw=${caption.boxPadding}` : '';
+    return `drawtext=textfile='${caption.textPath}':expansion=none:${font}:fontsize=${caption.fontSize}` +
+      `:fontcolor=${caption.color}${box}:x=${x}:y=${y}${enableExpression(caption)}`;
+  });
+  overlays.push(...(options.subtitleFilters || []));
+  chains.push(`[${current}]${overlays.length > 0 ? overlays.join(',') : 'null'}[vout]`);
+
+  return chains.join(';');
+}
+
+// Normaliza intro/outro com os mesmos parâmetros do vídeo principal e une os três sem re-encode.
+// Retorna a duração da intro normalizada (deslocamento das legendas soft).
+async function attachBumpers(job, mainPath, outputPath, params, branding, mainDuration) {
+  setJobPhase(job, 'bumpers');
+  const clips = [];
+  let totalDuration = mainDuration || 0;
+
+  let introSeconds = 0;
+
+  for (const [name, bumperPath] of [['intro', branding.intro], ['outro', branding.outro]]) {
+    if (!bumperPath) continue;
+    logger.info(`🎬 Normalizando ${name}...`);
+    const media = await probeMedia(job, bumperPath);
+    const normalizedPath = trackTempFile(job, path.join('/tmp', `normalized_${Date.now()}_${name}.${params.format.container}`));
+    await normalizeClip(job, bumperPath, normalizedPath, params, media);
+    clips.push({ name, path: normalizedPath });
+    totalDuration += media.durationSeconds || 0;
+    if (name === 'intro') introSeconds = (await probeMedia(job, normalizedPath)).durationSeconds || 0;
+  }
+
+  setJobPhase(job, 'concat');
+  const ordered = [
+    ...clips.filter(clip => clip.name === 'intro').map(clip => clip.path),
+    mainPath,
+    ...clips.filter(clip => clip.name === 'outro').map(clip => clip.path)
+  ];
+  await joinClips(job, ordered, outputPath, { format: params.format, durationSeconds: totalDuration });
+  return { introSeconds };
+}
+
+// ============================================
+// ENDPOINT: /probe (relatório de mídia + compatibilidade com o /normalize)
+// ============================================
+// Alvo comparado: mesmas dimensões, loudness e formato aceitos pelo /normalize
+const PROBE_SCHEMA = {
+  targetWidth: NORMALIZE_SCHEMA.targetWidth,
+  targetHeight: NORMALIZE_SCHEMA.targetHeight,
+  fps: NORMALIZE_SCHEMA.fps,
+  maxBitrate: NORMALIZE_SCHEMA.maxBitrate,
+  sampleRate: NORMALIZE_SCHEMA.sampleRate,
+  channels: NORMALIZE_SCHEMA.channels,
+  ...LOUDNESS_SCHEMA,
+  ...OUTPUT_FORMAT_SCHEMA,
+  analyzeLoudness: { type: 'boolean', default: true }
+};
+
+app.post('/probe', requireApiKey, enforceApiKeyQuota, upload.single('video'), validateNotificationWebhook, async (req, res) => {
+  const { input, errors: profileErrors } = applyProfile(req.body, PROBE_SCHEMA);
+  const { values: options, errors } = validateSchema(input, PROBE_SCHEMA);
+  errors.unshift(...validateVideoInput(req), ...profileErrors);
+  const { format, errors: formatErrors } = resolveOutputFormat(options);
+  errors.push(...formatErrors);
+  if (errors.length > 0) {
+    return rejectInvalidParams(req, res, errors);
+  }
+
+  const job = createJob('probe', req.body, req.apiKey);
+  if (req.file) trackTempFile(job, req.file.path);
+
+  dispatchJob(req, res, job, (job) => processProbe(job, {
+    ...videoInputParams(req),
+    ...options,
+    format
+  }), 'Probe failed');
+});
+
+async function processProbe(job, params) {
+  const startTime = Date.now();
+  const inputPath = await resolveVideoInput(job, params);
+
+  setJobPhase(job, 'probe');
+  const { report } = await probeMedia(job, inputPath, { requireVideo: false });
+  logger.info(`🔎 [PROBE] ${report.container}, ${report.streams.length} streams, ${report.durationSeconds}s`);
+
+  // undefined = análise de loudness desativada; null = sem áudio mensurável
+  let loudness;
+  if (params.analyzeLoudness) {
+    loudness = null;
+    if (report.audio) {
+      setJobPhase(job, 'loudness');
+      loudness = loudnessReport(await measureLoudness(job, inputPath, params));
+    }
+  }
+
+  await fs.unlink(inputPath).catch(() => {});
+
+  return {
+    body: {
+      success: true,
+      originalName: params.originalName,
+      media: { ...report, loudness: loudness || null },
+      target: {
+        width: params.targetWidth,
+        height: params.targetHeight,
+        fps: params.fps,
+        ...outputFormatSummary(params.format),
+        loudness: { integrated: params.loudnessI, truePeak: params.loudnessTP }
+      },
+      compatibility: checkNormalizeCompatibility(report, params, loudness),
+      processingTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+    }
+  };
+}
+
+// ============================================
+// HELPER: Destino de saída do /compress e /concat
+// ============================================
+// Campos de saída do /compress e /concat
+const OUTPUT_TARGET_SCHEMA = {
+  output: { type: 'string', enum: ['stream', 'storage'], default: 'stream' },
+  outputKey: STORAGE_KEY_RULE,
+  supabaseUrl: { type: 'url' },
+  supabaseKey: { type: 'string', maxLength: 4096 },
+  outputPath: { type: 'string', maxLength: 1024 }
+};
+
+// supabaseUrl do corpo segue a política de URLs externas (FETCH_ALLOWED_HOSTS, IPs privados)
+function validateOutputTarget({ supabaseUrl }) {
+  if (!supabaseUrl) return [];
+  try {
+    assertFetchAllowed(new URL(supabaseUrl));
+  } catch (error) {
+    return [{ field: 'supabaseUrl', message: 'supabaseUrl host is not allowed (private address or not in FETCH_ALLOWED_HOSTS)' }];
+  }
+  return [];
+}
+
+// Credenciais Supabase no corpo (legado, bucket videos; sem URL assinada, a resposta traz outputPath) ou output "storage" com outputKey opcional.
+// Recebe os valores já validados por OUTPUT_TARGET_SCHEMA.
+function resolveOutputTarget({ supabaseUrl, supabaseKey, outputPath, output, outputKey }) {
+  if (supabaseUrl && supabaseKey && outputPath) {
+    return {
+      targetStorage: createSupabaseDriver({ url: supabaseUrl, serviceKey: supabaseKey, checkHost: true, signUrls: false }),
+      outputKey: outputPath
+    };
+  }
+
+  if (output === 'storage') {
+    if (!storage) {
+      return { error: 'Storage is not configured (STORAGE_DRIVER or R2_* environment variables); use output "stream"' };
+    }
+    return { targetStorage: storage, outputKey };
+  }
+
+  return { targetStorage: null, outputKey: null };
+}
+
+// ============================================
+// ENDPOINT: /compress (STREAMING)
+// ============================================
+const COMPRESS_SCHEMA = {
+  videoUrl: { type: 'url', required: true },
+  checksum: CHECKSUM_RULE,
+  // crf/preset explícitos substituem os do nível de quality (sem quality: medium)
+  quality: { ...NORMALIZE_SCHEMA.quality, default: undefined },
+  crf: { type: 'integer', min: 0, max: 63 },
+  preset: { type: 'string', enum: X264_PRESETS },
+  // Teto de bitrate (kbps): 5000 no modo CRF; no modo targetSizeMB só quando informado
+  maxBitrate: { type: 'integer', min: 100, max: 100000 },
+  // Enquadramento, fps, formato do áudio e loudness: sem valor, a saída mantém os da entrada
+  targetWidth: { ...NORMALIZE_SCHEMA.targetWidth, default: undefined },
+  targetHeight: { ...NORMALIZE_SCHEMA.targetHeight, default: undefined },
+  ...FIT_SCHEMA,
+  fps: { ...NORMALIZE_SCHEMA.fps, default: undefined },
+  sampleRate: { ...NORMALIZE_SCHEMA.sampleRate, default: undefined },
+  channels: { ...NORMALIZE_SCHEMA.channels, default: undefined },
+  loudnessMode: LOUDNESS_SCHEMA.loudnessMode,
+  loudnessI: { ...LOUDNESS_SCHEMA.loudnessI, default: undefined },
+  loudnessLRA: { ...LOUDNESS_SCHEMA.loudnessLRA, default: undefined },
+  loudnessTP: { ...LOUDNESS_SCHEMA.loudnessTP, default: undefined },
+  ...OUTPUT_FORMAT_SCHEMA,
+  targetSizeMB: { type: 'number', min: 0.5, max: 10000 },
+  maxDurationSeconds: { type: 'number', min: 1, max: 86400 },
+  audioBitrate: { type: 'integer', min: 32, max: 320, default: 128 },
+  ...SUBTITLES_SCHEMA,
+  ...TRIM_SCHEMA,
+  ...OUTPUT_TARGET_SCHEMA
+};
+
+// Modo targetSizeMB: bitrate derivado da duração, encode em dois passes
+const TARGET_SIZE_OVERHEAD = 0.97; // margem para o container MP4
+const MIN_VIDEO_BITRATE_KBPS = 64;
+const MIN_BITS_PER_PIXEL = 0.05; // abaixo disso a resolução é reduzida (referência: 30fps)
+const TARGET_SIZE_SHORT_SIDES = [1440, 1080, 720, 540, 480, 360, 240];
+
+// Bitrate de vídeo para caber em targetSizeMB e o menor lado do quadro a usar (null = resolução original)
+function planTargetSize({ targetSizeMB, durationSeconds, audioBitrate, maxBitrate, video }) {
+  const totalKbps = targetSizeMB * 1024 * 1024 * 8 * TARGET_SIZE_OVERHEAD / durationSeconds / 1000;
+  const videoBitrate = Math.max(MIN_VIDEO_BITRATE_KBPS, Math.min(Math.floor(totalKbps - audioBitrate), maxBitrate || Infinity));
+
+  const sourceShortSide = Math.min(video.width, video.height);
+  const aspect = Math.max(video.width, video.height) / sourceShortSide;
+  const fits = (shortSide) => shortSide * shortSide * aspect * 30 * MIN_BITS_PER_PIXEL <= videoBitrate * 1000;
+
+  let shortSide = null;
+  if (!fits(sourceShortSide)) {
+    shortSide = TARGET_SIZE_SHORT_SIDES.find(side => side < sourceShortSide && fits(side)) ||
+      Math.min(sourceShortSide, TARGET_SIZE_SHORT_SIDES[TARGET_SIZE_SHORT_SIDES.length - 1]);
+  }
+
+  return { videoBitrate, shortSide };
+}
+
+app.post('/compress', requireApiKey, enforceApiKeyQuota, express.json({ limit: '50mb' }), uploadWithSubtitles(), validateNotificationWebhook, async (req, res) => {
+  const { input, profile, errors: profileErrors } = applyProfile(req.body, COMPRESS_SCHEMA);
+  const { values: options, errors } = validateSchema(input, COMPRESS_SCHEMA);
+  errors.unshift(...profileErrors);
+  const { format: requestedFormat, errors: formatErrors } = resolveOutputFormat(options);
+  const { tracks: subtitles, errors: subtitleErrors } = resolveSubtitleTracks(req, options, formatErrors.length === 0 ? requestedFormat : null);
+  errors.push(...formatErrors, ...validateCodecCrf(options.crf, requestedFormat), ...subtitleErrors, ...validateTrim(options));
+
+  // targetSizeMB só com codecs de dois passes
+  const videoCodec = requestedFormat.videoCodec ? VIDEO_CODECS[requestedFormat.videoCodec] : null;
+  if (options.targetSizeMB && !(videoCodec && videoCodec.twoPass)) {
+    const twoPassCodecs = Object.keys(VIDEO_CODECS).filter(name => VIDEO_CODECS[name].twoPass);
+    errors.push({ field: 'targetSizeMB', message: `targetSizeMB requires videoCodec ${twoPassCodecs.join(' or ')}` });
+  }
+  if ((options.targetWidth === null) !== (options.targetHeight === null)) {
+    errors.push({ field: options.targetWidth === null ? 'targetWidth' : 'targetHeight', message: 'targetWidth and targetHeight must be sent together' });
+  }
+  errors.push(...validateOutputTarget(options));
+  if (errors.length > 0) {
+    return rejectInvalidParams(req, res, errors);
+  }
+
+  const { format, error: encoderError } = await resolveEncoders(requestedFormat);
+  if (encoderError) {
+    return rejectUnavailableEncoder(req, res, encoderError);
+  }
+
+  const outputTarget = resolveOutputTarget(options);
+  if (outputTarget.error) {
+    return rejectInvalidParams(req, res, [{ field: 'output', message: outputTarget.error }]);
+  }
+
+  const job = createJob('compress', req.body, req.apiKey);
+  for (const file of req.subtitleFiles) trackTempFile(job, file.path);
+
+  dispatchJob(req, res, job, (job) => processCompress(job, {
+    videoUrl: options.videoUrl,
+    checksum: options.checksum,
+    format,
+    crf: options.crf !== null ? options.crf : (videoCodec ? videoCodec.quality[options.quality || 'medium'] : null),
+    preset: options.preset || QUALITY_PRESETS[options.quality || 'medium'],
+    maxBitrate: options.maxBitrate,
+    targetWidth: options.targetWidth,
+    targetHeight: options.targetHeight,
+    fit: options.fit,
+    padColor: options.padColor,
+    focusX: options.focusX,
+    focusY: options.focusY,
+    blurStrength: options.blurStrength,
+    fps: options.fps,
+    sampleRate: options.sampleRate,
+    channels: options.channels,
+    loudnessMode: options.loudnessMode,
+    loudnessI: options.loudnessI,
+    loudnessLRA: options.loudnessLRA,
+    loudnessTP: options.loudnessTP,
+    targetSizeMB: options.targetSizeMB,
+    maxDurationSeconds: options.maxDurationSeconds,
+    audioBitrate: options.audioBitrate,
+    subtitles,
+    subtitleMode: options.subtitleMode,
+    subtitleStyle: options.subtitleStyle,
+    trimStart: options.trimStart,
+    trimEnd: options.trimEnd,
+    trimDuration: options.trimDuration,
+    autoTrim: options.autoTrim,
+    autoTrimSilenceDb: options.autoTrimSilenceDb,
+    autoTrimMinSeconds: options.autoTrimMinSeconds,
+    profile: profile ? profile.name : null,
+    ...outputTarget,
+    userId: req.body.userId
+  }), 'Compression failed');
+});
+
+async function processCompress(job, params) {
+  const { videoUrl, checksum, format, profile, crf, preset, maxBitrate, targetSizeMB, maxDurationSeconds, audioBitrate, subtitleMode, subtitleStyle, targetStorage, outputKey, userId } = params;
+  const videoCodec = format.videoCodec ? VIDEO_CODECS[format.videoCodec] : null;
+  const audioCodec = AUDIO_CODECS[format.audioCodec];
+  const container = CONTAINERS[format.container];
+  const startTime = Date.now();
+
+  logger.info(`🎬 Comprimindo vídeo de URL: ${videoUrl.substring(0, 100)}...`);
+
+  const inputPath = trackTempFile(job, path.join('/tmp', `input_${Date.now()}.mp4`));
+  const outputPath = trackTempFile(job, path.join('/tmp', `compressed_${Date.now()}.${format.container}`));
+
+  // STREAMING: Download direto para arquivo (não RAM)
+  setJobPhase(job, 'download');
+  logger.info('📥 Baixando vídeo via streaming...');
+  await fetchToFile(videoUrl, inputPath, {
+    signal: job.abortController.signal,
+    onProgress: transferProgress(job),
+    checksum
+  });
+
+  const inputStats = await fs.stat(inputPath);
+  const originalSize = inputStats.size;
+  logger.info(`✅ Download completo: ${(originalSize / 1024 / 1024).toFixed(2)}MB`);
+
+  setJobPhase(job, 'probe');
+  const media = await probeMedia(job, inputPath, { requireVideo: Boolean(videoCodec) });
+  if (!media.durationSeconds) {
+    throw new ProcessingError('INVALID_MEDIA', 'Não foi possível determinar a duração do vídeo');
+  }
+  if (!videoCodec && !media.hasAudio) {
+    throw new ProcessingError('INVALID_MEDIA', 'Entrada não contém áudio para uma saída somente áudio');
+  }
+
+  // maxDurationSeconds limita a saída também quando há corte
+  const trim = await planTrim(job, inputPath, media, params);
+  const trimmedDuration = trim.range ? trim.range.duration : media.durationSeconds;
+  const durationSeconds = maxDurationSeconds ? Math.min(trimmedDuration, maxDurationSeconds) : trimmedDuration;
+  const subtitleRange = trim.range || maxDurationSeconds ? { start: trim.range ? trim.range.start : 0, duration: durationSeconds } : null;
+
+  const inputArgs = [...trimInputArgs(trim.range), '-i', inputPath, ...(maxDurationSeconds ? ['-t', String(maxDurationSeconds)] : [])];
+  const containerArgs = container.faststart ? ['-movflags', '+faststart'] : [];
+
+  // Loudness só quando algum alvo foi pedido (direto ou pelo profile); two-pass mede a entrada antes
+  const loudnessTarget = Object.fromEntries(['loudnessI', 'loudnessLRA', 'loudnessTP']
+    .filter(field => params[field] !== null && params[field] !== undefined)
+    .map(field => [field, params[field]]));
+  const applyLoudness = media.hasAudio && Object.keys(loudnessTarget).length > 0;
+  let measuredLoudness = null;
+  if (applyLoudness && params.loudnessMode === 'two-pass') {
+    setJobPhase(job, 'loudness');
+    logger.info('🔊 Medindo loudness (1º passe)...');
+    measuredLoudness = await measureLoudness(job, inputPath, { ...loudnessTarget, trim: trim.range });
+    if (measuredLoudness && !isFinite(parseFloat(measuredLoudness.input_i))) measuredLoudness = null;
+  }
+
+  // loudnorm reamostra para 192kHz: sem sampleRate pedido, volta à taxa da entrada
+  const inputSampleRate = media.report.audio ? media.report.audio.sampleRate : null;
+  const sampleRate = audioCodec.sampleRate || params.sampleRate || (applyLoudness ? inputSampleRate || 48000 : null);
+  const audioArgs = media.hasAudio
+    ? [
+      ...audioCodec.args(format.audioEncoder, audioBitrate),
+      ...(sampleRate ? ['-ar', String(sampleRate)] : []),
+      ...(params.channels ? ['-ac', String(params.channels)] : []),
+      ...(applyLoudness ? ['-af', buildLoudnormFilter(loudnessTarget, measuredLoudness)] : [])
+    ]
+    : ['-an'];
+
+  // Com targetWidth/targetHeight o quadro de saída (e a base do modo targetSizeMB) é o do alvo
+  const frame = params.targetWidth ? { width: params.targetWidth, height: params.targetHeight } : media.video;
+  const plan = targetSizeMB
+    ? planTargetSize({
+      targetSizeMB,
+      durationSeconds,
+      audioBitrate: media.hasAudio ? audioBitrate : 0,
+      maxBitrate,
+      video: frame
+    })
+    : null;
+  const scaleFilter = plan && plan.shortSide
+    ? (frame.width >= frame.height ? `scale=-2:${plan.shortSide}` : `scale=${plan.shortSide}:-2`)
+    : null;
+  const fitFilter = params.targetWidth ? buildFitFilter(params) : null;
+  const fpsArgs = params.fps ? ['-r', String(params.fps)] : [];
+
+  const subtitles = params.subtitles.length > 0 ? await prepareSubtitles(job, params.subtitles) : [];
+  const softSubtitles = subtitleMode === 'soft' ? subtitles : [];
+  const subtitleFilters = subtitleMode === 'burn' && subtitles.length > 0
+    ? await prepareSubtitleBurn(job, subtitles, subtitleStyle, { offsetSeconds: videoStartSeconds(media), range: subtitleRange })
+    : [];
+  const videoFilters = [...(fitFilter ? [fitFilter] : []), ...(scaleFilter ? [scaleFilter] : []), ...subtitleFilters];
+  const filterArgs = videoFilters.length > 0 ? ['-vf', videoFilters.join(',')] : [];
+  // Legendas soft entram num remux final (stream copy)
+  const encodePath = softSubtitles.length > 0
+    ? trackTempFile(job, path.join('/tmp', `compressed_${Date.now()}_video.${format.container}`))
+    : outputPath;
+
+  setJobPhase(job, 'encode');
+  if (plan) {
+    const { videoBitrate, shortSide } = plan;
+    const videoArgs = [
+      ...videoCodec.args(format.videoEncoder, { preset }),
+      '-b:v', `${videoBitrate}k`, '-maxrate', `${Math.round(videoBitrate * 1.5)}k`, '-bufsize', `${videoBitrate * 2}k`,
+      ...filterArgs,
+      ...fpsArgs
+    ];
+    const passLogFile = path.join('/tmp', `ffmpeg2pass_${Date.now()}`);
+    trackTempFile(job, `${passLogFile}-0.log`);
+    trackTempFile(job, `${passLogFile}-0.log.mbtree`);
+
+    logger.info(`⚙️ Comprimindo para ${targetSizeMB}MB (${format.videoEncoder} ${videoBitrate}k${shortSide ? `, ${shortSide}p` : ''}, 2 passes)...`);
+    job.progressContext = { pass: 1, passes: 2 };
+    await execJob(job, 'ffmpeg', [
+      ...inputArgs, ...videoArgs,
+      '-pass', '1', '-passlogfile', passLogFile,
+      '-an', '-f', 'null', '-y', os.devNull
+    ], { progressDuration: durationSeconds });
+
+    job.progressContext = { pass: 2, passes: 2 };
+    await execJob(job, 'ffmpeg', [
+      ...inputArgs, ...videoArgs,
+      '-pass', '2', '-passlogfile', passLogFile,
+      ...audioArgs,
+      ...containerArgs,
+      '-y', encodePath
+    ], { progressDuration: durationSeconds });
+    job.progressContext = {};
+  } else {
+    const videoArgs = videoCodec
+      ? [
+        ...videoCodec.args(format.videoEncoder, { preset }),
+        ...videoCodec.crfArgs(format.videoEncoder, crf),
+        ...maxBitrateArgs(videoCodec, maxBitrate || 5000),
+        ...filterArgs,
+        ...fpsArgs
+      ]
+      : ['-vn'];
+    const ffmpegArgs = [
+      ...inputArgs,
+      ...videoArgs,
+      ...audioArgs,
+      ...containerArgs,
+      '-y', encodePath
+    ];
+
+    logger.info(videoCodec
+      ? `⚙️ Comprimindo (${format.videoEncoder}, CRF ${crf}, preset ${preset})...`
+      : `⚙️ Extraindo áudio (${format.audioEncoder} em ${format.container})...`);
+    await execJob(job, 'ffmpeg', ffmpegArgs, { maxBuffer: 100 * 1024 * 1024, progressDuration: durationSeconds });
+  }
+
+  await fs.unlink(inputPath).catch(() => {});
+
+  if (softSubtitles.length > 0) {
+    setJobPhase(job, 'subtitles');
+    logger.info(`💬 Adicionando ${softSubtitles.length} faixa(s) de legenda...`);
+    const encoded = await probeMedia(job, encodePath);
+    await muxSoftSubtitles(job, encodePath, outputPath, softSubtitles, format, {
+      offsetSeconds: videoStartSeconds(encoded),
+      range: subtitleRange
+    });
+    await fs.unlink(encodePath).catch(() => {});
+  }
+
+  const outputStats = await fs.stat(outputPath);
+  const compressedSize = outputStats.size;
+  const compressionRatio = ((1 - compressedSize / originalSize) * 100).toFixed(1);
+  compressSizeRatio.observe({ mode: targetSizeMB ? 'target-size' : 'crf' }, compressedSize / originalSize);
+  const bitrate = Math.round(compressedSize * 8 / durationSeconds / 1000);
+
+  logger.info(`✅ Compressão: ${(originalSize / 1024 / 1024).toFixed(2)}MB → ${(compressedSize / 1024 / 1024).toFixed(2)}MB (${compressionRatio}% redução, ${bitrate}kbps)`);
+
+  // Resultado do modo targetSizeMB (resolução final lida do arquivo gerado)
+  let target = {};
+  if (plan) {
+    const output = await probeMedia(job, outputPath);
+    target = {
+      targetSizeMB,
+      targetMet: compressedSize <= targetSizeMB * 1024 * 1024,
+      videoBitrate: plan.videoBitrate,
+      resolution: `${output.video.width}x${output.video.height}`
+    };
+    if (!target.targetMet) {
+      logger.warn(`⚠️ Tamanho alvo não atingido: ${(compressedSize / 1024 / 1024).toFixed(2)}MB > ${targetSizeMB}MB`);
+    }
+  }
+
+  // Upload para o storage se solicitado
+  if (targetStorage) {
+    setJobPhase(job, 'upload');
+    const key = outputKey || `${buildStorageKey('compressed', 'video', userId)}.${format.container}`;
+    logger.info(`📤 Fazendo upload para ${targetStorage.name}: ${key}`);
+
+    const stored = await storeOutput(job, targetStorage, outputPath, key, container.contentType);
+
+    logger.info('✅ Upload completo');
+
+    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    return {
+      body: {
+        success: true,
+        outputPath: stored.key,
+        videoUrl: stored.url,
+        storage: targetStorage.name,
+        originalSize,
+        compressedSize,
+        compressionRatio: parseFloat(compressionRatio),
+        bitrate,
+        format: outputFormatSummary(format),
+        profile,
+        subtitles: subtitleSummary(subtitleMode, subtitles),
+        trim: trim.report,
+        ...target,
+        processingTime: parseFloat(processingTime)
+      }
+    };
+  }
+
+  // STREAMING: Retornar o vídeo via stream
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  return {
+    body: {
+      success: true,
+      originalSize,
+      compressedSize,
+      compressionRatio: parseFloat(compressionRatio),
+      bitrate,
+      format: outputFormatSummary(format),
+      profile,
+      subtitles: subtitleSummary(subtitleMode, subtitles),
+      trim: trim.report,
+      ...target,
+      processingTime: parseFloat(processingTime)
+    },
+    file: {
+      path: outputPath,
+      headers: {
+        'Content-Type': container.contentType,
+        'X-Processing-Time': processingTime,
+        'X-Original-Size': originalSize.toString(),
+        'X-Compressed-Size': compressedSize.toString(),
+        'X-Compression-Ratio': compressionRatio,
+        'X-Bitrate': String(bitrate),
+        ...(plan ? { 'X-Target-Met': String(target.targetMet) } : {})
+      }
+    }
+  };
+}
+
+// ============================================
+// PROFILES: Perfis de encode nomeados (PROFILES_FILE)
+// ============================================
+// Arquivo JSON: { "<nome>": { "description": "...", "settings": { ...parâmetros }, "overrides": { ... } } }
+// settings usa os mesmos nomes dos parâmetros de /normalize e /compress e vira o padrão do request.
+// overrides (opcional) lista os campos que o request pode sobrescrever, com limites próprios
+// ({ "min", "max", "enum" } ou true); sem overrides, todos os campos podem ser sobrescritos.
+const PROFILE_FIELDS = [
+  'targetWidth', 'targetHeight', 'fps', 'quality', 'crf', 'preset', 'maxBitrate',
+  'container', 'videoCodec', 'audioCodec', 'audioBitrate', 'sampleRate', 'channels',
+  'loudnessMode', 'loudnessI', 'loudnessLRA', 'loudnessTP',
+  'fit', 'padColor', 'focusX', 'focusY', 'blurStrength',
+  'targetSizeMB', 'maxDurationSeconds',
+  'subtitleMode', 'subtitleStyle',
+  'autoTrim', 'autoTrimSilenceDb', 'autoTrimMinSeconds'
+];
+
+// Regras dos campos de profile, sem os padrões dos endpoints
+const PROFILE_RULES = Object.fromEntries(PROFILE_FIELDS.map((field) => {
+  const rule = { ...NORMALIZE_SCHEMA, ...COMPRESS_SCHEMA, ...OUTPUT_FORMAT_SCHEMA }[field];
+  return [field, { ...rule, default: undefined }];
+}));
+
+function loadProfiles() {
+  const file = process.env.PROFILES_FILE || path.join(__dirname, 'profiles.json');
+  const loaded = new Map();
+  if (!process.env.PROFILES_FILE && !fsSync.existsSync(file)) return loaded;
+
+  const definitions = JSON.parse(fsSync.readFileSync(file, 'utf8'));
+  for (const [name, definition] of Object.entries(definitions)) {
+    const settings = definition.settings || {};
+    const errors = [];
+
+    const unknown = Object.keys(settings).filter(field => !PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) errors.push(`campos desconhecidos: ${unknown.join(', ')}`);
+
+    const present = Object.fromEntries(Object.entries(PROFILE_RULES).filter(([field]) => settings[field] !== undefined));
+    const { values, errors: settingErrors } = validateSchema(settings, present);
+    errors.push(...settingErrors.map(e => e.message));
+    errors.push(...resolveOutputFormat(values).errors.map(e => e.message));
+
+    const overrides = definition.overrides || null;
+    for (const [field, limits] of Object.entries(overrides || {})) {
+      if (!PROFILE_FIELDS.includes(field)) errors.push(`override desconhecido: ${field}`);
+      else if (limits !== true && (typeof limits !== 'object' || Object.keys(limits).some(k => !['min', 'max', 'enum'].includes(k)))) {
+        errors.push(`override ${field} deve ser true ou { min, max, enum }`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Profile "${name}" inválido em ${file}: ${errors.join('; ')}`);
+    }
+    loaded.set(name, { name, description: definition.description || null, settings: values, overrides });
+  }
+
+  return loaded;
+}
+
+const profiles = loadProfiles();
+logger.info(`🎚️ ${profiles.size} profile(s) de encode carregado(s)`);
+
+// Aplica o profile pedido: settings como padrão e overrides do request validados contra o profile.
+// Retorna { input, profile, errors } - input segue para o validateSchema do endpoint.
+// Só os campos do schema do endpoint saem do profile; sobrescrever um campo que o endpoint não aplica é erro
+function applyProfile(body, schema) {
+  if (!body.profile) return { input: body, profile: null, errors: [] };
+
+  const profile = profiles.get(body.profile);
+  if (!profile) {
+    const names = [...profiles.keys()];
+    const message = names.length > 0 ? `profile must be one of: ${names.join(', ')}` : 'profile is not available (no profiles configured)';
+    return { input: body, profile: null, errors: [{ field: 'profile', message }] };
+  }
+
+  const input = { ...body };
+  const errors = [];
+  for (const field of PROFILE_FIELDS) {
+    const provided = body[field] !== undefined && body[field] !== null && body[field] !== '';
+    if (!schema[field]) {
+      if (provided) errors.push({ field, message: `${field} is not supported by this endpoint` });
+      continue;
+    }
+    if (!provided) {
+      if (profile.settings[field] !== undefined) input[field] = profile.settings[field];
+      continue;
+    }
+    if (!profile.overrides) continue;
+
+    const limits = profile.overrides[field];
+    if (limits === undefined) {
+      errors.push({ field, message: `${field} cannot be overridden with profile "${profile.name}"` });
+    } else if (limits !== true) {
+      errors.push(...validateValue(body[field], { ...PROFILE_RULES[field], ...limits }, field).errors);
+    }
+  }
+
+  return { input, profile, errors };
+}
+
+app.get('/profiles', requireApiKey, (req, res) => {
+  res.json({
+    profiles: [...profiles.values()].map(({ name, description, settings, overrides }) => ({
+      name,
+      description,
+      settings,
+      overrides
+    }))
+  });
+});
+
+// ============================================
+// ENDPOINT: /concat (normaliza + concatena clipes)
+// ============================================
+const XFADE_TRANSITIONS = [
+  'fade', 'fadeblack', 'fadewhite', 'dissolve',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'circleopen', 'circleclose'
+];
+
+const CONCAT_SCHEMA = {
+  ...NORMALIZE_SCHEMA,
+  videoUrls: { type: 'array', required: true, minItems: 2, maxItems: 50, items: { type: 'url' } },
+  checksums: { type: 'array', maxItems: 50, items: CHECKSUM_RULE },
+  transition: { type: 'string', enum: XFADE_TRANSITIONS },
+  transitionDuration: { type: 'number', min: 0.1, max: 10, default: 0.5 },
+  ...OUTPUT_TARGET_SCHEMA
+};
+
+app.post('/concat', requireApiKey, enforceApiKeyQuota, express.json({ limit: '50mb' }), validateNotificationWebhook, async (req, res) => {
+  const { values: options, errors } = validateSchema(req.body, CONCAT_SCHEMA);
+  if (options.checksums && options.videoUrls && options.checksums.length !== options.videoUrls.length) {
+    errors.push({ field: 'checksums', message: 'checksums must have one entry per videoUrls item' });
+  }
+  errors.push(...validateOutputTarget(options));
+  if (errors.length > 0) {
+    return rejectInvalidParams(req, res, errors);
+  }
+
+  const outputTarget = resolveOutputTarget(options);
+  if (outputTarget.error) {
+    return rejectInvalidParams(req, res, [{ field: 'output', message: outputTarget.error }]);
+  }
+
+  const job = createJob('concat', req.body, req.apiKey);
+
+  dispatchJob(req, res, job, (job) => processConcat(job, {
+    ...options,
+    ...outputTarget,
+    userId: req.body.userId
+  }), 'Concatenation failed');
+});
+
+async function processConcat(job, params) {
+  const startTime = Date.now();
+  const { videoUrls, checksums, transition, targetStorage, outputKey } = params;
+
+  logger.info(`🎞️ [CONCAT] ${videoUrls.length} clipes${transition ? ` (transição ${transition})` : ''}`);
+
+  // FASE 1: Download + normalização de cada clipe para o mesmo formato
+  const normalizedPaths = [];
+  const durations = [];
+  const clipsLoudness = [];
+  for (let i = 0; i < videoUrls.length; i++) {
+    job.progressContext = { clip: i + 1, clips: videoUrls.length };
+    setJobPhase(job, 'download');
+    logger.info(`📥 [CONCAT] Clipe ${i + 1}/${videoUrls.length}: baixando...`);
+    const inputPath = trackTempFile(job, path.join('/tmp', `input_${Date.now()}_${i}.mp4`));
+    await fetchToFile(videoUrls[i], inputPath, {
+      signal: job.abortController.signal,
+      onProgress: transferProgress(job),
+      checksum: checksums ? checksums[i] : null
+    });
+
+    setJobPhase(job, 'normalize');
+    const media = await probeMedia(job, inputPath);
+    logger.info(`⚙️ [CONCAT] Clipe ${i + 1}/${videoUrls.length}: normalizando...`);
+    const normalizedPath = trackTempFile(job, path.join('/tmp', `normalized_${Date.now()}_${i}.mp4`));
+    const loudness = await normalizeClip(job, inputPath, normalizedPath, params, media);
+    await fs.unlink(inputPath).catch(() => {});
+
+    clipsLoudness.push(loudness);
+    normalizedPaths.push(normalizedPath);
+    durations.push(await getMediaDuration(job, normalizedPath));
+  }
+
+  // FASE 2: Concatenação (concat demuxer sem re-encode, ou xfade com re-encode)
+  job.progressContext = {};
+  setJobPhase(job, 'concat');
+  const outputPath = trackTempFile(job, path.join('/tmp', `concat_${Date.now()}.mp4`));
+
+  if (transition) {
+    await crossfadeClips(job, normalizedPaths, durations, outputPath, params);
+  } else {
+    await joinClips(job, normalizedPaths, outputPath, { durationSeconds: durations.reduce((a, b) => a + b, 0) });
+  }
+
+  const stats = await fs.stat(outputPath);
+  logger.info(`✅ [CONCAT] Vídeo final: ${(stats.size / 1024 / 1024).toFixed(2)}MB`);
+
+  // FASE 3: Upload para o storage se solicitado
+  if (targetStorage) {
+    setJobPhase(job, 'upload');
+    const key = outputKey || `${buildStorageKey('concat', 'video', params.userId)}.mp4`;
+    logger.info(`📤 [CONCAT] Fazendo upload para ${targetStorage.name}: ${key}`);
+    const stored = await storeOutput(job, targetStorage, outputPath, key, 'video/mp4');
+    logger.info('✅ [CONCAT] Upload completo');
+
+    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    return {
+      body: {
+        success: true,
+        outputPath: stored.key,
+        videoUrl: stored.url,
+        storage: targetStorage.name,
+        clipsCount: videoUrls.length,
+        clipsLoudness,
+        size: stats.size,
+        processingTime: parseFloat(processingTime)
+      }
+    };
+  }
+
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  return {
+    body: {
+      success: true,
+      clipsCount: videoUrls.length,
+      clipsLoudness,
+      size: stats.size,
+      processingTime: parseFloat(processingTime)
+    },
+    file: {
+      path: outputPath,
+      headers: {
+        'Content-Type': 'video/mp4',
+        'X-Processing-Time': processingTime,
+        'X-Clips-Count': videoUrls.length.toString()
+      }
+    }
+  };
+}
+
+// Junta clipes já normalizados com xfade/acrossfade (requer re-encode)
+async function crossfadeClips(job, clipPaths, durations, outputPath, params) {
+  const { transition, transitionDuration } = params;
+  if (transitionDuration >= Math.min(...durations)) {
+    throw new ProcessingError('INVALID_MEDIA', `transitionDuration (${transitionDuration}s) deve ser menor que o clipe mais curto`);
+  }
+
+  // offset de cada xfade = duração acumulada da saída até aqui - duração da transição
+  const filters = [];
+  let offset = 0;
+  let videoLabel = '[0:v]';
+  let audioLabel = '[0:a]';
+
+  for (let i = 1; i < clipPaths.length; i++) {
+    offset += durations[i - 1] - transitionDuration;
+    const isLast = i === clipPaths.length - 1;
+    const videoOut = isLast ? '[vout]' : `[v${i}]`;
+    const audioOut = isLast ? '[aout]' : `[a${i}]`;
+
+    filters.push(`${videoLabel}[${i}:v]xfade=transition=${transition}:duration=${transitionDuration}:offset=${offset.toFixed(3)}${videoOut}`);
+    filters.push(`${audioLabel}[${i}:a]acrossfade=d=${transitionDuration}${audioOut}`);
+
+    videoLabel = videoOut;
+    audioLabel = audioOut;
+  }
+
+  const { crf, preset, audioBitrate, sampleRate, channels } = normalizeEncodeSettings(params);
+  const ffmpegArgs = [
+    ...clipPaths.flatMap(p => ['-i', p]),
+    '-filter_complex', filters.join(';'),
+    '-map', '[vout]', '-map', '[aout]',
+    '-c:v', 'libx264', '-preset', preset, '-crf', String(crf),
+    ...maxBitrateArgs(VIDEO_CODECS.h264, params.maxBitrate),
+    '-c:a', 'aac', '-b:a', `${audioBitrate}k`, '-ar', String(sampleRate), '-ac', String(channels),
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    '-y', outputPath
+  ];
+
+  const totalDuration = durations.reduce((a, b) => a + b, 0) - transitionDuration * (clipPaths.length - 1);
+
+  logger.info(`🔀 [CONCAT] Aplicando transições (${transition}, ${transitionDuration}s)...`);
+  await execJob(job, 'ffmpeg', ffmpegArgs, { maxBuffer: 50 * 1024 * 1024, progressDuration: totalDuration });
+}
+
+async function getMediaDuration(job, filePath) {
+  const { stdout } = await execJob(job, 'ffprobe',
+    ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', filePath]
+  );
+  return parseFloat(stdout);
+}
+
+// ============================================
+// ENDPOINT: /package (HLS/DASH adaptativo -> R2)
+// ============================================
+const DEFAULT_RENDITIONS = [
+  { height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { height: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+const PACKAGE_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.mpd': 'application/dash+xml'
+};
+
+// Escada de bitrates (kbps)
+const PACKAGE_SCHEMA = {
+  videoUrl: { type: 'url', required: true },
+  checksum: CHECKSUM_RULE,
+  renditions: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 8,
+    default: DEFAULT_RENDITIONS,
+    items: {
+      type: 'object',
+      schema: {
+        height: { type: 'integer', required: true, min: 144, max: 4320 },
+        videoBitrate: { type: 'integer', required: true, min: 100, max: 50000 },
+        audioBitrate: { type: 'integer', min: 32, max: 512, default: 128 }
+      }
+    }
+  },
+  segmentDuration: { type: 'integer', min: 1, max: 30, default: 6 },
+  segmentType: { type: 'string', enum: ['mpegts', 'fmp4'] },
+  dash: { type: 'boolean', default: false },
+  outputPrefix: STORAGE_KEY_RULE,
+  r2Config: R2_CONFIG_RULE
+};
+
+app.post('/package', requireApiKey, enforceApiKeyQuota, express.json({ limit: '50mb' }), validateNotificationWebhook, async (req, res) => {
+  const { values: options, errors } = validateSchema(req.body, PACKAGE_SCHEMA);
+
+  // DASH exige segmentos fMP4 (CMAF), compartilhados com o HLS
+  const segmentType = options.segmentType || (options.dash ? 'fmp4' : 'mpegts');
+  if (options.dash && segmentType !== 'fmp4') {
+    errors.push({ field: 'segmentType', message: 'segmentType must be "fmp4" when dash is enabled' });
+  }
+  if (errors.length > 0) {
+    return rejectInvalidParams(req, res, errors);
+  }
+
+  const { videoUrl, checksum, dash, segmentDuration, outputPrefix } = options;
+  const renditions = [...options.renditions].sort((a, b) => b.height - a.height);
+
+  const targetStorage = options.r2Config ? createR2Driver(options.r2Config) : storage;
+  if (!targetStorage) {
+    return rejectInvalidParams(req, res, [{ field: 'r2Config', message: 'Storage is not configured (STORAGE_DRIVER or R2_* environment variables); send r2Config' }]);
+  }
+
+  const job = createJob('package', req.body, req.apiKey);
+
+  dispatchJob(req, res, job, (job) => processPackage(job, {
+    videoUrl,
+    checksum,
+    renditions,
+    segmentDuration,
+    segmentType,
+    dash,
+    outputPrefix,
+    userId: req.body.userId,
+    targetStorage
+  }), 'Packaging failed');
+});
+
+async function processPackage(job, params) {
+  const startTime = Date.now();
+  const { videoUrl, segmentDuration, segmentType, dash, targetStorage } = params;
+
+  const workDir = trackTempFile(job, path.join('/tmp', `package_${Date.now()}`));
+  const outputDir = path.join(workDir, 'out');
+  await fs.mkdir(outputDir, { recursive: true });
+
+  // FASE 1: Download
+  setJobPhase(job, 'download');
+  logger.info(`📥 [PACKAGE] Baixando vídeo: ${videoUrl.substring(0, 100)}...`);
+  const inputPath = path.join(workDir, 'input.mp4');
+  await fetchToFile(videoUrl, inputPath, {
+    signal: job.abortController.signal,
+    onProgress: transferProgress(job),
+    checksum: params.checksum
+  });
+
+  setJobPhase(job, 'probe');
+  const media = await probeMedia(job, inputPath);
+  const sourceHeight = media.video.height;
+
+  // Não fazer upscale: mantém renditions até a altura da origem (ao menos a menor)
+  let renditions = params.renditions.filter(r => r.height <= sourceHeight);
+  if (renditions.length === 0) renditions = [params.renditions[params.renditions.length - 1]];
+  renditions = renditions.map((r, i) => ({
+    ...r,
+    name: `${r.height}p`,
+    index: i,
+    width: Math.round(media.video.width * r.height / sourceHeight / 2) * 2
+  }));
+
+  logger.info(`🎚️ [PACKAGE] Renditions: ${renditions.map(r => `${r.name}@${r.videoBitrate}k`).join(', ')}`);
+
+  // FASE 2: Encode de cada rendition (mesmos codecs do /compress), GOP alinhado aos segmentos
+  const renditionPaths = [];
+  for (const rendition of renditions) {
+    job.progressContext = { rendition: rendition.name, renditions: renditions.length };
+    setJobPhase(job, 'encode');
+    logger.info(`⚙️ [PACKAGE] Encode ${rendition.name} (${rendition.videoBitrate}k)...`);
+
+    const renditionPath = path.join(workDir, `rendition_${rendition.index}.mp4`);
+    const audioArgs = media.hasAudio
+      ? ['-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ar', '48000', '-ac', '2']
+      : ['-an'];
+
+    await execJob(job, 'ffmpeg', [
+      '-i', inputPath,
+      '-vf', `scale=${rendition.width}:${rendition.height},setsar=1`,
+      '-c:v', 'libx264', '-preset', 'medium', '-profile:v', 'high', '-pix_fmt', 'yuv420p',
+      '-b:v', `${rendition.videoBitrate}k`, '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`, '-bufsize', `${rendition.videoBitrate * 2}k`,
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`, '-sc_threshold', '0',
+      ...audioArgs,
+      '-movflags', '+faststart',
+      '-y', renditionPath
+    ], { maxBuffer: 50 * 1024 * 1024, progressDuration: media.durationSeconds });
+
+    renditionPaths.push(renditionPath);
+  }
+  job.progressContext = {};
+  await fs.unlink(inputPath).catch(() => {});
+
+  // FASE 3: Segmentação HLS (e DASH) sem re-encode
+  setJobPhase(job, 'segment');
+  const inputs = renditionPaths.flatMap(p => ['-i', p]);
+  const hlsMaps = renditions.flatMap((r, i) => (media.hasAudio ? ['-map', `${i}:v:0`, '-map', `${i}:a:0`] : ['-map', `${i}:v:0`]));
+  const varStreamMap = renditions.map((r, i) => (media.hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`)).join(' ');
+  const segmentExt = segmentType === 'fmp4' ? 'm4s' : 'ts';
+
+  logger.info(`✂️ [PACKAGE] Segmentando HLS (${segmentType}, ${segmentDuration}s)...`);
+  await fs.mkdir(path.join(outputDir, 'hls'), { recursive: true });
+  await execJob(job, 'ffmpeg', [
+    ...inputs, ...hlsMaps, '-c', 'copy',
+    '-f', 'hls', '-hls_time', String(segmentDuration), '-hls_playlist_type', 'vod',
+    '-hls_segment_type', segmentType,
+    '-hls_segment_filename', `${outputDir}/hls/%v/seg_%05d.${segmentExt}`,
+    '-master_pl_name', 'master.m3u8',
+    '-var_stream_map', varStreamMap,
+    '-y', `${outputDir}/hls/%v/index.m3u8`
+  ], { maxBuffer: 50 * 1024 * 1024 });
+
+  if (dash) {
+    logger.info('✂️ [PACKAGE] Gerando manifesto DASH (CMAF)...');
+    await fs.mkdir(path.join(outputDir, 'dash'), { recursive: true });
+    const dashMaps = [...renditions.flatMap((r, i) => ['-map', `${i}:v:0`]), ...(media.hasAudio ? ['-map', '0:a:0'] : [])];
+    const adaptationSets = media.hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v';
+    await execJob(job, 'ffmpeg', [
+      ...inputs, ...dashMaps, '-c', 'copy',
+      '-f', 'dash', '-seg_duration', String(segmentDuration), '-use_template', '1', '-use_timeline', '1',
+      '-adaptation_sets', adaptationSets,
+      '-y', `${outputDir}/dash/manifest.mpd`
+    ], { maxBuffer: 50 * 1024 * 1024 });
+  }
+
+  for (const renditionPath of renditionPaths) {
+    await fs.unlink(renditionPath).catch(() => {});
+  }
+
+  // FASE 4: Upload do diretório para o storage
+  setJobPhase(job, 'upload');
+  const outputPrefix = (params.outputPrefix || buildStorageKey('packages', path.basename(new URL(videoUrl).pathname), params.userId)).replace(/\/+$/, '');
+  const prefix = joinStorageKey(targetStorage.prefix, outputPrefix);
+  const files = await listFilesRecursive(outputDir);
+  let uploadedFiles = 0;
+  let totalBytes = 0;
+
+  logger.info(`☁️ [PACKAGE] Upload de ${files.length} arquivos para ${targetStorage.name}: ${prefix}/`);
+
+  const uploadQueue = [...files];
+  const uploadWorker = async () => {
+    while (uploadQueue.length > 0) {
+      assertNotCancelled(job);
+      const filePath = uploadQueue.shift();
+      const key = `${outputPrefix}/${path.relative(outputDir, filePath).split(path.sep).join('/')}`;
+
+      const { size } = await targetStorage.upload(filePath, key, {
+        contentType: PACKAGE_CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        signal: job.abortController.signal
+      });
+
+      uploadedFiles++;
+      totalBytes += size;
+      outputBytesTotal.inc({ type: job.type, destination: 'storage' }, size);
+      updateJobProgress(job, {
+        files: uploadedFiles,
+        totalFiles: files.length,
+        percent: Math.round(uploadedFiles / files.length * 1000) / 10
+      }, { force: uploadedFiles === files.length });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(4, files.length) }, uploadWorker));
+
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  logger.info(`🎉 [PACKAGE] Concluído em ${processingTime}s (${uploadedFiles} arquivos)`);
+
+  const masterPlaylistKey = `${prefix}/hls/master.m3u8`;
+  const dashManifestKey = dash ? `${prefix}/dash/manifest.mpd` : null;
+
+  return {
+    body: {
+      success: true,
+      prefix,
+      masterPlaylistKey,
+      masterPlaylistUrl: await targetStorage.getUrl(masterPlaylistKey),
+      dashManifestKey,
+      dashManifestUrl: dashManifestKey ? await targetStorage.getUrl(dashManifestKey) : null,
+      storage: targetStorage.name,
+      segmentType,
+      segmentDuration,
+      renditions: renditions.map(r => ({
+        name: r.name,
+        width: r.width,
+        height: r.height,
+        videoBitrate: r.videoBitrate,
+        audioBitrate: media.hasAudio ? r.audioBitrate : null,
+        bandwidth: (r.videoBitrate + (media.hasAudio ? r.audioBitrate : 0)) * 1000,
+        playlistKey: `${prefix}/hls/${r.name}/index.m3u8`
+      })),
+      filesUploaded: uploadedFiles,
+      totalBytes,
+      processingTime: parseFloat(processingTime)
+    }
+  };
+}
+
+async function listFilesRecursive(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFilesRecursive(fullPath));
+    } else {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// ============================================
+// ENDPOINT: /thumbnails (poster, stills, sprite + VTT, preview animado)
+// ============================================
+const THUMBNAIL_OUTPUT_SCHEMAS = {
+  poster: {
+    time: { type: 'number', min: 0, max: 86400 },
+    width: { type: 'integer', min: 16, max: 4096 }
+  },
+  stills: {
+    count: { type: 'integer', min: 1, max: 50, default: 5 },
+    width: { type: 'integer', min: 16, max: 4096 }
+  },
+  sprite: {
+    interval: { type: 'number', min: 0.5, max: 600, default: 2 },
+    width: { type: 'integer', min: 32, max: 640, default: 160 },
+    columns: { type: 'integer', min: 1, max: 30, default: 10 }
+  },
+  preview: {
+    format: { type: 'string', enum: ['webp', 'gif'], default: 'webp' },
+    start: { type: 'number', min: 0, max: 86400 },
+    duration: { type: 'number', min: 0.5, max: 15, default: 3 },
+    width: { type: 'integer', min: 32, max: 1280, default: 320 },
+    fps: { type: 'integer', min: 1, max: 30, default: 10 }
+  }
+};
+
+const THUMBNAILS_SCHEMA = {
+  output: { type: 'string', enum: ['zip', 'storage', 'r2'], default: 'zip' },
+  outputPrefix: STORAGE_KEY_RULE
+};
+
+// Campo "outputs" (objeto JSON ou string JSON no multipart); cada saída pode ser true (padrões)
+function parseThumbnailOutputs(raw) {
+  const { value, errors } = validateValue(raw, { type: 'object', default: { poster: true, sprite: true } }, 'outputs');
+  if (errors.length > 0) return { errors };
+
+  const outputs = {};
+  for (const [name, schema] of Object.entries(THUMBNAIL_OUTPUT_SCHEMAS)) {
+    if (!value[name]) continue;
+    const result = validateValue(value[name] === true ? {} : value[name], { type: 'object', schema }, `outputs.${name}`);
+    if (result.errors.length > 0) errors.push(...result.errors);
+    else outputs[name] = result.value;
+  }
+
+  if (errors.length === 0 && Object.keys(outputs).length === 0) {
+    errors.push({ field: 'outputs', message: 'outputs must request at least one of: poster, stills, sprite, preview' });
+  }
+  return { outputs, errors };
+}
+
+app.post('/thumbnails', requireApiKey, enforceApiKeyQuota, upload.single('video'), validateNotificationWebhook, async (req, res) => {
+  const { values: options, errors } = validateSchema(req.body, THUMBNAILS_SCHEMA);
+  const { outputs, errors: outputErrors } = parseThumbnailOutputs(req.body.outputs);
+  errors.unshift(...validateVideoInput(req));
+  errors.push(...outputErrors);
+  if (errors.length > 0) {
+    return rejectInvalidParams(req, res, errors);
+  }
+
+  // "r2" = alias de "storage"
+  const targetStorage = options.output === 'zip' ? null : storage;
+  if (options.output !== 'zip' && !targetStorage) {
+    return rejectInvalidParams(req, res, [{ field: 'output', message: 'Storage is not configured (STORAGE_DRIVER or R2_* environment variables); use output "zip"' }]);
+  }
+
+  const job = createJob('thumbnails', req.body, req.apiKey);
+  if (req.file) trackTempFile(job, req.file.path);
+
+  dispatchJob(req, res, job, (job) => processThumbnails(job, {
+    ...videoInputParams(req),
+    outputs,
+    targetStorage,
+    outputPrefix: options.outputPrefix,
+    userId: req.body.userId
+  }), 'Thumbnail generation failed');
+});
+
+async function processThumbnails(job, params) {
+  const startTime = Date.now();
+  const { outputs, originalName, targetStorage } = params;
+
+  const inputPath = await resolveVideoInput(job, params);
+  const workDir = trackTempFile(job, path.join('/tmp', `thumbs_${Date.now()}`));
+  await fs.mkdir(workDir, { recursive: true });
+
+  setJobPhase(job, 'probe');
+  const media = await probeMedia(job, inputPath);
+  const duration = media.durationSeconds || 0;
+  const { width: sourceWidth, height: sourceHeight } = media.video;
+  const heightFor = (width) => Math.round(width * sourceHeight / sourceWidth / 2) * 2;
+  const scaleFilter = (width) => (width ? `scale=${width}:${heightFor(width)}` : 'null');
+  // Timestamps válidos: nunca além do último frame
+  const clampTime = (t) => Math.max(0, Math.min(t, Math.max(0, duration - 0.1)));
+
+  logger.info(`🖼️ [THUMBS] ${originalName}: ${sourceWidth}x${sourceHeight}, ${duration.toFixed(1)}s (${Object.keys(outputs).join(', ')})`);
+  setJobPhase(job, 'render');
+  const files = [];
+  const manifest = {};
+
+  if (outputs.poster) {
+    const posterPath = path.join(workDir, 'poster.jpg');
+    const { time, width } = outputs.poster;
+    // Sem timestamp: filtro thumbnail escolhe o frame mais representativo
+    const args = time !== null
+      ? ['-ss', String(clampTime(time)), '-i', inputPath, '-frames:v', '1', '-vf', scaleFilter(width), '-q:v', '2', '-y', posterPath]
+      : ['-i', inputPath, '-vf', `thumbnail=300,${scaleFilter(width)}`, '-frames:v', '1', '-q:v', '2', '-y', posterPath];
+    await execJob(job, 'ffmpeg', args, { maxBuffer: 10 * 1024 * 1024 });
+    files.push(posterPath);
+    manifest.poster = { file: 'poster.jpg', time: time !== null ? clampTime(time) : 'auto' };
+  }
+
+  if (outputs.stills) {
+    const { count, width } = outputs.stills;
+    manifest.stills = [];
+    for (let i = 0; i < count; i++) {
+      const time = clampTime(duration * (i + 0.5) / count);
+      const fileName = `still_${String(i + 1).padStart(2, '0')}.jpg`;
+      await execJob(job, 'ffmpeg',
+        ['-ss', time.toFixed(3), '-i', inputPath, '-frames:v', '1', '-vf', scaleFilter(width), '-q:v', '2', '-y', path.join(workDir, fileName)],
+        { maxBuffer: 10 * 1024 * 1024 }
+      );
+      files.push(path.join(workDir, fileName));
+      manifest.stills.push({ file: fileName, time: parseFloat(time.toFixed(3)) });
+      updateJobProgress(job, { output: 'stills', completed: i + 1, total: count });
+    }
+  }
+
+  if (outputs.sprite) {
+    const { width, columns } = outputs.sprite;
+    // Limite de 300 tiles: intervalo aumenta em vídeos longos
+    const interval = Math.max(outputs.sprite.interval, duration / 300);
+    const count = Math.max(1, Math.ceil(duration / interval));
+    const rows = Math.ceil(count / columns);
+    const tileHeight = heightFor(width);
+
+    await execJob(job, 'ffmpeg',
+      ['-i', inputPath, '-vf', `fps=1/${interval},scale=${width}:${tileHeight},tile=${columns}x${rows}`, '-frames:v', '1', '-q:v', '3', '-y', path.join(workDir, 'sprite.jpg')],
+      { maxBuffer: 10 * 1024 * 1024, progressDuration: duration }
+    );
+
+    // Trilha WebVTT de thumbnails: cada cue aponta para um recorte (#xywh) do sprite
+    const cues = ['WEBVTT', ''];
+    for (let i = 0; i < count; i++) {
+      const x = (i % columns) * width;
+      const y = Math.floor(i / columns) * tileHeight;
+      cues.push(`${formatVttTime(i * interval)} --> ${formatVttTime(Math.min((i + 1) * interval, duration))}`);
+      cues.push(`sprite.jpg#xywh=${x},${y},${width},${tileHeight}`, '');
+    }
+    await fs.writeFile(path.join(workDir, 'sprite.vtt'), cues.join('\n'));
+
+    files.push(path.join(workDir, 'sprite.jpg'), path.join(workDir, 'sprite.vtt'));
+    manifest.sprite = { file: 'sprite.jpg', vtt: 'sprite.vtt', interval, columns, rows, tileWidth: width, tileHeight, count };
+  }
+
+  if (outputs.preview) {
+    const { format, duration: previewDuration, width, fps } = outputs.preview;
+    // Sem início informado: trecho a partir de 1/3 do vídeo
+    const start = clampTime(outputs.preview.start !== null ? outputs.preview.start : duration / 3);
+    const fileName = `preview.${format}`;
+    const baseFilter = `fps=${fps},scale=${width}:${heightFor(width)}:flags=lanczos`;
+    const args = format === 'gif'
+      ? ['-ss', String(start), '-t', String(previewDuration), '-i', inputPath, '-vf', `${baseFilter},split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-loop', '0', '-an', '-y', path.join(workDir, fileName)]
+      : ['-ss', String(start), '-t', String(previewDuration), '-i', inputPath, '-vf', baseFilter, '-c:v', 'libwebp', '-q:v', '60', '-loop', '0', '-an', '-y', path.join(workDir, fileName)];
+    await execJob(job, 'ffmpeg', args, { maxBuffer: 10 * 1024 * 1024 });
+    files.push(path.join(workDir, fileName));
+    manifest.preview = { file: fileName, start, duration: previewDuration, width, fps };
+  }
+
+  await fs.unlink(inputPath).catch(() => {});
+
+  // Saída no storage: um objeto por arquivo sob o mesmo prefixo (VTT referencia sprite.jpg relativo)
+  if (targetStorage) {
+    setJobPhase(job, 'upload');
+    const outputPrefix = (params.outputPrefix || buildStorageKey('thumbnails', originalName, params.userId)).replace(/\/+$/, '');
+    const prefix = joinStorageKey(targetStorage.prefix, outputPrefix);
+    const uploaded = {};
+
+    for (const filePath of files) {
+      const fileName = path.basename(filePath);
+      const { key, size } = await targetStorage.upload(filePath, `${outputPrefix}/${fileName}`, {
+        contentType: THUMBNAIL_CONTENT_TYPES[path.extname(fileName)] || 'application/octet-stream',
+        signal: job.abortController.signal
+      });
+      uploaded[fileName] = { key, url: await targetStorage.getUrl(key), size };
+      outputBytesTotal.inc({ type: job.type, destination: 'storage' }, size);
+    }
+
+    logger.info(`✅ [THUMBS] ${files.length} arquivos enviados para ${targetStorage.name}: ${prefix}/`);
+
+    return {
+      body: {
+        success: true,
+        prefix,
+        outputs: manifest,
+        files: uploaded,
+        processingTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+      }
+    };
+  }
+
+  // Saída em ZIP (archiver, via stream) com manifest.json
+  setJobPhase(job, 'zip');
+  const zipPath = trackTempFile(job, path.join('/tmp', `zip_${Date.now()}_thumbs.zip`));
+  await writeZipWithManifest(zipPath, files, manifest);
+
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  logger.info(`✅ [THUMBS] ZIP com ${files.length} arquivos em ${processingTime}s`);
+
+  return {
+    body: {
+      success: true,
+      outputs: manifest,
+      processingTime: parseFloat(processingTime)
+    },
+    file: {
+      path: zipPath,
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': 'attachment; filename="thumbnails.zip"',
+        'X-Processing-Time': processingTime
+      }
+    }
+  };
+}
+
+// ZIP sem compressão (mídia já comprimida) com os arquivos na raiz e manifest.json
+async function writeZipWithManifest(zipPath, files, manifest) {
+  const zipOutput = fsSync.createWriteStream(zipPath);
+  const archive = archiver('zip', { store: true });
+  archive.pipe(zipOutput);
+
+  for (const filePath of files) {
+    archive.file(filePath, { name: path.basename(filePath) });
+  }
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+
+  await new Promise((resolve, reject) => {
+    zipOutput.on('close', resolve);
+    zipOutput.on('error', reject);
+  });
+}
+
+const THUMBNAIL_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.vtt': 'text/vtt',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const s = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// ============================================
+// ENDPOINT: /clips (vários trechos de uma entrada -> ZIP ou storage)
+// ============================================
+// Cada trecho é cortado no frame e normalizado com as mesmas opções do /normalize.
+const CLIPS_SCHEMA = {
+  ...Object.fromEntries(Object.entries(NORMALIZE_SCHEMA).filter(([field]) => !['output', 'outputKey'].includes(field))),
+  ...OUTPUT_FORMAT_SCHEMA,
+  clips: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 50,
+    items: {
+      type: 'object',
+      schema: {
+        start: { type: 'number', required: true, min: 0 },
+        end: { type: 'number', min: 0 },
+        duration: { type: 'number', min: 0.1 },
+        name: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/, message: 'may only contain letters, numbers, "_" and "-"' }
+      }
+    }
+  },
+  output: { type: 'string', enum: ['zip', 'storage', 'r2'], default: 'zip' },
+  outputPrefix: STORAGE_KEY_RULE
+};
+
+app.post('/clips', requireApiKey, enforceApiKeyQuota, upload.single('video'), validateNotificationWebhook, async (req, res) => {
+  const { values: options, errors } = validateSchema(req.body, CLIPS_SCHEMA);
+  errors.unshift(...validateVideoInput(req));
+  const { format: requestedFormat, errors: formatErrors } = resolveOutputFormat(options);
+  errors.push(...formatErrors, ...validateCodecCrf(options.crf, requestedFormat));
+
+  const names = new Set();
+  for (const [i, clip] of (options.clips || []).entries()) {
+    const prefix = `clips[${i}]`;
+    errors.push(...validateTrimRange(clip, { start: `${prefix}.start`, end: `${prefix}.end`, duration: `${prefix}.duration` }));
+    const name = clipName(clip, i);
+    if (names.has(name)) errors.push({ field: `${prefix}.name`, message: `${prefix}.name "${name}" is used by more than one clip` });
+    names.add(name);
+  }
+  if (errors.length > 0) {
+    return rejectInvalidParams(req, res, errors);
+  }
+
+  const { format, error: encoderError } = await resolveEncoders(requestedFormat);
+  if (encoderError) {
+    return rejectUnavailableEncoder(req, res, encoderError);
+  }
+
+  // "r2" = alias de "storage"
+  const targetStorage = options.output === 'zip' ? null : storage;
+  if (options.output !== 'zip' && !targetStorage) {
+    return rejectInvalidParams(req, res, [{ field: 'output', message: 'Storage is not configured (STORAGE_DRIVER or R2_* environment variables); use output "zip"' }]);
+  }
+
+  const job = createJob('clips', req.body, req.apiKey);
+  if (req.file) trackTempFile(job, req.file.path);
+
+  dispatchJob(req, res, job, (job) => processClips(job, {
+    ...videoInputParams(req),
+    ...options,
+    format,
+    targetStorage,
+    userId: req.body.userId
+  }), 'Clip extraction failed');
+});
+
+function clipName(clip, index) {
+  return clip.name || `clip_${String(index + 1).padStart(2, '0')}`;
+}
+
+async function processClips(job, params) {
+  const startTime = Date.now();
+  const { clips, format, originalName, targetStorage } = params;
+  const { contentType } = CONTAINERS[format.container];
+
+  const inputPath = await resolveVideoInput(job, params);
+  const workDir = trackTempFile(job, path.join('/tmp', `clips_${Date.now()}`));
+  await fs.mkdir(workDir, { recursive: true });
+
+  setJobPhase(job, 'probe');
+  const media = await probeMedia(job, inputPath);
+  if (!format.videoCodec && !media.hasAudio) {
+    throw new ProcessingError('INVALID_MEDIA', 'Entrada não contém áudio para uma saída somente áudio');
+  }
+  const ranges = clips.map(clip => resolveTrimRange(media.durationSeconds, clip));
+
+  logger.info(`✂️ [CLIPS] ${originalName}: ${clips.length} trechos (${format.videoCodec || 'sem vídeo'}/${format.audioCodec} em ${format.container})`);
+  setJobPhase(job, 'encode');
+  const files = [];
+  const manifest = [];
+
+  for (const [i, clip] of clips.entries()) {
+    job.progressContext = { clip: i + 1, clips: clips.length };
+    const range = ranges[i];
+    const fileName = `${clipName(clip, i)}.${format.container}`;
+    const clipPath = path.join(workDir, fileName);
+
+    logger.info(`⚙️ [CLIPS] ${i + 1}/${clips.length}: ${range.start}s - ${range.end !== null ? `${range.end}s` : 'fim'}`);
+    const loudness = await normalizeClip(job, inputPath, clipPath, { ...params, trim: range }, { ...media, durationSeconds: range.duration });
+
+    files.push(clipPath);
+    manifest.push({ file: fileName, start: range.start, end: range.end, duration: range.duration, loudness });
+  }
+  job.progressContext = {};
+
+  await fs.unlink(inputPath).catch(() => {});
+
+  // Saída no storage: um objeto por trecho sob o mesmo prefixo
+  if (targetStorage) {
+    setJobPhase(job, 'upload');
+    const outputPrefix = (params.outputPrefix || buildStorageKey('clips', originalName, params.userId)).replace(/\/+$/, '');
+    const prefix = joinStorageKey(targetStorage.prefix, outputPrefix);
+
+    for (const [i, filePath] of files.entries()) {
+      const stored = await storeOutput(job, targetStorage, filePath, `${outputPrefix}/${path.basename(filePath)}`, contentType);
+      Object.assign(manifest[i], { key: stored.key, url: stored.url, size: stored.size });
+    }
+
+    logger.info(`✅ [CLIPS] ${files.length} trechos enviados para ${targetStorage.name}: ${prefix}/`);
+
+    return {
+      body: {
+        success: true,
+        prefix,
+        format: outputFormatSummary(format),
+        clips: manifest,
+        processingTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+      }
+    };
+  }
+
+  setJobPhase(job, 'zip');
+  const zipPath = trackTempFile(job, path.join('/tmp', `zip_${Date.now()}_clips.zip`));
+  await writeZipWithManifest(zipPath, files, manifest);
+
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  logger.info(`✅ [CLIPS] ZIP com ${files.length} trechos em ${processingTime}s`);
+
+  return {
+    body: {
+      success: true,
+      format: outputFormatSummary(format),
+      clips: manifest,
+      processingTime: parseFloat(processingTime)
+    },
+    file: {
+      path: zipPath,
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': 'attachment; filename="clips.zip"',
+        'X-Processing-Time': processingTime,
+        'X-Clips-Count': files.length.toString()
+      }
+    }
+  };
+}
+
+// ============================================
+// HELPER: Download direto para arquivo (STREAMING)
+// ============================================
+// checkHost aplica a política de URLs externas (allowlist e bloqueio de IPs privados);
+// downloads do próprio storage não passam por ela.
+const FETCH_MAX_REDIRECTS = parseInt(process.env.FETCH_MAX_REDIRECTS) || 5;
+const FETCH_RESUME_ATTEMPTS = parseInt(process.env.FETCH_RESUME_ATTEMPTS) || 3;
+const FETCH_ALLOW_PRIVATE_IPS = process.env.FETCH_ALLOW_PRIVATE_IPS === 'true';
+const FETCH_ALLOWED_HOSTS = (process.env.FETCH_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// "example.com" aceita só o host; "*.example.com" aceita os subdomínios
+function isHostAllowed(hostname) {
+  if (FETCH_ALLOWED_HOSTS.length === 0) return true;
+  return FETCH_ALLOWED_HOSTS.some(entry => entry.startsWith('*.')
+    ? hostname.endsWith(entry.slice(1))
+    : hostname === entry);
+}
+
+function fetchError(message, { statusCode = null, permanent = false } = {}) {
+  const error = new Error(message);
+  if (statusCode) error.statusCode = statusCode;
+  error.permanent = permanent;
+  return error;
+}
+
+function assertFetchAllowed(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw fetchError(`Protocolo não permitido: ${url.protocol}`, { permanent: true });
+  }
+  if (!isHostAllowed(hostname)) {
+    throw fetchError(`Host não permitido: ${hostname}`, { permanent: true });
+  }
+  if (net.isIP(hostname) && !FETCH_ALLOW_PRIVATE_IPS && isPrivateAddress(hostname)) {
+    throw fetchError(`Endereço bloqueado: ${hostname}`, { permanent: true });
+  }
+}
+
+// Valida o IP resolvido no momento da conexão (evita DNS rebinding)
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(fetchError(`Endereço bloqueado: ${hostname} (${blocked.address})`, { permanent: true }));
+    }
+    callback(null, address, family);
+  });
+}
+
+// GET seguindo redirects; headers do caller não seguem para outra origem
+function openDownload(url, { headers, timeoutMs, checkHost, signal }, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    if (checkHost) assertFetchAllowed(parsedUrl);
+    const protocol = parsedUrl.protocol === 'https:' ? https : http;
+
+    const req = protocol.request({
+      hostname: parsedUrl.hostname.replace(/^\[|\]$/g, ''),
+      port: parsedUrl.port || undefined,
+      path: parsedUrl.pathname + parsedUrl.search,
+      method: 'GET',
+      headers,
+      timeout: timeoutMs,
+      lookup: checkHost && !FETCH_ALLOW_PRIVATE_IPS ? guardedLookup : undefined,
+      rejectUnauthorized: TLS_REJECT_UNAUTHORIZED,
+      signal: signal || undefined,
+      agent: false
+    }, (response) => {
+      const location = response.headers.location;
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && location) {
+        response.resume();
+        if (redirects >= FETCH_MAX_REDIRECTS) {
+          return reject(fetchError(`Redirects demais (máximo ${FETCH_MAX_REDIRECTS})`, { permanent: true }));
+        }
+        const nextUrl = new URL(location, parsedUrl);
+        const nextHeaders = nextUrl.origin === parsedUrl.origin
+          ? headers
+          : Object.fromEntries(Object.entries(headers).filter(([name]) => name === 'Range' || name === 'If-Range'));
+        return resolve(openDownload(nextUrl.toString(), { headers: nextHeaders, timeoutMs, checkHost, signal }, redirects + 1));
+      }
+      resolve({ response, url: parsedUrl.toString(), req });
+    });
+
+    req.on('error', (error) => {
+      if (signal && signal.aborted) return reject(new Error('Download cancelado'));
+      reject(error.permanent ? error : fetchError(`Erro de rede: ${error.message}`));
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error('Download timeout'));
+    });
+
+    req.end();
+  });
+}
+
+// Grava a resposta em outputPath (anexando quando é 206), respeitando maxBytes
+async function receiveDownload(state, outputPath, { timeoutMs, signal, onProgress, headers, checkHost, maxBytes }) {
+  const resuming = state.bytes > 0;
+  const requestHeaders = { ...headers };
+  if (resuming) {
+    requestHeaders.Range = `bytes=${state.bytes}-`;
+    if (state.validator) requestHeaders['If-Range'] = state.validator;
+  }
+
+  const { response, url } = await openDownload(state.url, { headers: requestHeaders, timeoutMs, checkHost, signal });
+  state.url = url;
+
+  let append = false;
+  if (resuming && response.statusCode === 206) {
+    const contentRange = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+    if (!contentRange || parseInt(contentRange[1]) !== state.bytes) {
+      response.resume();
+      throw fetchError('Content-Range inesperado na retomada', { permanent: true });
+    }
+    append = true;
+  } else if (response.statusCode !== 200) {
+    response.resume();
+    const statusCode = response.statusCode;
+    throw fetchError(`HTTP ${statusCode}`, { statusCode, permanent: statusCode !== 429 && statusCode < 500 });
+  }
+
+  if (!append) {
+    // Servidor ignorou o Range (ou arquivo mudou): recomeça do zero
+    state.bytes = 0;
+    state.validator = response.headers['accept-ranges'] === 'bytes'
+      ? (response.headers.etag && !response.headers.etag.startsWith('W/') ? response.headers.etag : response.headers['last-modified']) || null
+      : null;
+  }
+
+  const contentLength = parseInt(response.headers['content-length']);
+  state.totalBytes = Number.isFinite(contentLength) ? state.bytes + contentLength : null;
+  if (state.totalBytes && state.totalBytes > maxBytes) {
+    response.resume();
+    throw fetchError(`Arquivo excede o limite de ${Math.round(maxBytes / 1024 / 1024)}MB`, { permanent: true });
+  }
+  // A reserva feita na admissão do job (estimativa) já cobre parte do download
+  const { job } = requestContext.getStore() || {};
+  const reservedForJob = job ? job.diskReservation || 0 : 0;
+  if (state.totalBytes && !(await hasDiskSpace((state.totalBytes - state.bytes) * DISK_SPACE_FACTOR - reservedForJob))) {
+    response.resume();
+    throw fetchError(`Espaço insuficiente em ${TEMP_DIR} para ${Math.round(state.totalBytes / 1024 / 1024)}MB`, { permanent: true });
+  }
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      state.bytes += chunk.length;
+      if (state.bytes > maxBytes) {
+        return callback(fetchError(`Arquivo excede o limite de ${Math.round(maxBytes / 1024 / 1024)}MB`, { permanent: true }));
+      }
+      if (onProgress) onProgress(state.bytes, state.totalBytes);
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(response, counter, fsSync.createWriteStream(outputPath, { flags: append ? 'a' : 'w' }));
+  } catch (error) {
+    if (signal && signal.aborted) throw new Error('Download cancelado');
+    throw error.permanent ? error : fetchError(`Download interrompido: ${error.message}`);
+  }
+
+  if (state.totalBytes && state.bytes < state.totalBytes) {
+    throw fetchError(`Download incompleto: ${state.bytes}/${state.totalBytes} bytes`);
+  }
+}
+
+async function hashFile(filePath, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fsSync.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// checksum: "sha256:<hex>", "sha1:<hex>" ou "md5:<hex>"
+async function verifyChecksum(filePath, checksum) {
+  const [algorithm, expected] = checksum.toLowerCase().split(':');
+  const actual = await hashFile(filePath, algorithm);
+  if (actual !== expected) {
+    throw fetchError(`Checksum não confere (${algorithm} esperado ${expected}, recebido ${actual})`, { permanent: true });
+  }
+}
+
+async function downloadToFile(url, outputPath, options = {}) {
+  const {
+    timeoutMs = 300000,
+    signal = null,
+    onProgress = null,
+    headers = {},
+    checkHost = false,
+    maxBytes = MAX_INPUT_BYTES,
+    checksum = null
+  } = options;
+  const state = { url, bytes: 0, totalBytes: null, validator: null };
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await receiveDownload(state, outputPath, { timeoutMs, signal, onProgress, headers, checkHost, maxBytes });
+        break;
+      } catch (error) {
+        if ((signal && signal.aborted) || error.permanent || attempt > FETCH_RESUME_ATTEMPTS) throw error;
+        // Sem validador o conteúdo pode ter mudado: recomeça do zero
+        if (!state.validator) state.bytes = 0;
+        logger.warn(`🔄 Download falhou (${error.message}), tentativa ${attempt + 1}/${FETCH_RESUME_ATTEMPTS + 1}` +
+          (state.bytes > 0 ? ` retomando de ${state.bytes} bytes` : ''));
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+
+    if (checksum) await verifyChecksum(outputPath, checksum);
+  } catch (error) {
+    await fs.unlink(outputPath).catch(() => {});
+    throw error;
+  }
+}
+
+// ============================================
+// ASSETS: Cache local de marcas d'água, fontes e vinhetas
+// ============================================
+// Assets baixados por URL ficam em ASSET_CACHE_DIR (nome = sha256 da URL) e valem por ASSET_CACHE_TTL_HOURS.
+// Acima de ASSET_CACHE_MAX_MB os menos usados (atime) são removidos.
+const ASSET_CACHE_DIR = process.env.ASSET_CACHE_DIR || '/tmp/asset-cache';
+const ASSET_CACHE_MAX_BYTES = (parseInt(process.env.ASSET_CACHE_MAX_MB) || 1024) * 1024 * 1024;
+const ASSET_CACHE_TTL_MS = (parseInt(process.env.ASSET_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Downloads em andamento por URL: jobs simultâneos pedindo o mesmo asset baixam uma vez só
+const assetDownloads = new Map();
+
+// Retorna um caminho do job para o asset: hard link da cópia em cache, que continua válido mesmo
+// se a entrada for removida do cache durante o job
+async function fetchAsset(job, url) {
+  const hash = crypto.createHash('sha256').update(url).digest('hex');
+  const ext = path.extname(new URL(url).pathname).toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 8);
+  const cachedPath = path.join(ASSET_CACHE_DIR, hash + ext);
+
+  const cached = await fs.stat(cachedPath).catch(() => null);
+  if (cached && Date.now() - cached.mtimeMs < ASSET_CACHE_TTL_MS) {
+    assetCacheRequestsTotal.inc({ result: 'hit' });
+    await fs.utimes(cachedPath, new Date(), cached.mtime).catch(() => {});
+  } else {
+    assetCacheRequestsTotal.inc({ result: 'miss' });
+    if (!assetDownloads.has(hash)) {
+      // Sem o signal do job: o download é compartilhado e fica no cache mesmo se este job for cancelado
+      const download = (async () => {
+        await fs.mkdir(ASSET_CACHE_DIR, { recursive: true });
+        const partialPath = `${cachedPath}.${crypto.randomUUID()}.part`;
+        try {
+          await fetchToFile(url, partialPath);
+          await fs.rename(partialPath, cachedPath);
+        } finally {
+          await fs.unlink(partialPath).catch(() => {});
+        }
+        await pruneAssetCache();
+      })().finally(() => assetDownloads.delete(hash));
+      assetDownloads.set(hash, download);
+    }
+    await assetDownloads.get(hash);
+    assertNotCancelled(job);
+  }
+
+  const jobPath = trackTempFile(job, path.join('/tmp', `asset_${Date.now()}_${hash.slice(0, 12)}${ext}`));
+  await fs.link(cachedPath, jobPath).catch(() => fs.copyFile(cachedPath, jobPath));
+  return jobPath;
+}
+
+async function pruneAssetCache() {
+  const names = (await fs.readdir(ASSET_CACHE_DIR)).filter(name => !name.endsWith('.part'));
+  const entries = [];
+  for (const name of names) {
+    const stats = await fs.stat(path.join(ASSET_CACHE_DIR, name)).catch(() => null);
+    if (stats) entries.push({ name, size: stats.size, usedAt: Math.max(stats.atimeMs, stats.mtimeMs) });
+  }
+
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries.sort((a, b) => a.usedAt - b.usedAt)) {
+    if (total <= ASSET_CACHE_MAX_BYTES) break;
+    await fs.unlink(path.join(ASSET_CACHE_DIR, entry.name)).catch(() => {});
+    total -= entry.size;
+    logger.info(`🗑️ [ASSETS] Removido do cache: ${entry.name}`);
+  }
+}
+
+// ============================================
+// HELPER: Upload arquivo via stream
+// ============================================
+async function uploadFileStream(uploadUrl, filePath, headers = {}, { signal = null, onProgress = null, checkHost = false } = {}) {
+  const stats = await fs.stat(filePath);
+  if (checkHost) assertFetchAllowed(new URL(uploadUrl));
+
+  return new Promise((resolvePromise, rejectPromise) => {
+    const detachAbort = onAbort(signal, () => {
+      req.destroy();
+      fileStream.destroy();
+      reject(new Error('Upload cancelado'));
+    });
+    const resolve = (value) => { detachAbort(); resolvePromise(value); };
+    const reject = (error) => { detachAbort(); rejectPromise(error); };
+
+    const url = new URL(uploadUrl);
+    const fileStream = fsSync.createReadStream(filePath);
+
+    const options = {
+      method: 'POST',
+      hostname: url.hostname,
+      path: url.pathname,
+      headers: {
+        ...headers,
+        'Content-Length': stats.size
+      },
+      timeout: 600000, // 10 minutos
+      lookup: checkHost && !FETCH_ALLOW_PRIVATE_IPS ? guardedLookup : undefined
+    };
+
+    const req = https.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(data);
+        } else {
+          reject(new Error(`Upload failed: ${res.statusCode} - ${data}`));
+        }
+      });
+    });
+
+    req.on('error', (err) => {
+      fileStream.destroy();
+      reject(err);
+    });
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Upload timeout'));
+    });
+
+    if (onProgress) {
+      let sentBytes = 0;
+      fileStream.on('data', (chunk) => {
+        sentBytes += chunk.length;
+        onProgress(sentBytes, stats.size);
+      });
+    }
+
+    fileStream.pipe(req);
+  });
+}
+
+// ============================================
+// ENDPOINT: /generate-zip (STREAMING COMPLETO)
+// ============================================
+// Vídeos baixados para /tmp e empacotados sem compressão. Com direct=true o ZIP vai direto para a resposta
+// (output=stream) ou para o upload (output=storage, drivers com uploadStream), sem cópia completa em disco.
+const GENERATE_ZIP_SCHEMA = {
+  videos: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 1000,
+    items: {
+      type: 'object',
+      schema: {
+        filename: { type: 'string', required: true, maxLength: 255 },
+        folder: { type: 'string', maxLength: 255 },
+        r2SignedUrl: { type: 'url', required: true },
+        checksum: CHECKSUM_RULE
+      }
+    }
+  },
+  productCode: { type: 'string', maxLength: 100 },
+  output: { type: 'string', enum: ['storage', 'stream'], default: 'storage' },
+  direct: { type: 'boolean', default: false },
+  manifest: { type: 'boolean', default: true },
+  onDownloadFailure: { type: 'string', enum: ['skip', 'fail'], default: 'skip' },
+  r2Config: R2_CONFIG_RULE
+};
+
+const ZIP_MANIFEST_NAMES = ['manifest.json', 'manifest.csv'];
+
+app.post('/generate-zip', requireApiKey, enforceApiKeyQuota, express.json({ limit: '50mb' }), validateNotificationWebhook, async (req, res) => {
+  const { values: options, errors } = validateSchema(req.body, GENERATE_ZIP_SCHEMA);
+  if (options.direct && options.output === 'stream' && (isAsyncRequest(req) || wantsEventStream(req))) {
+    errors.push({ field: 'direct', message: 'direct with output "stream" requires a synchronous request (no async or event stream)' });
+  }
+  if (errors.length > 0) {
+    return rejectInvalidParams(req, res, errors);
+  }
+
+  // r2Config no corpo (legado) mantém a URL pública r2.dev original, salvo publicUrl/R2_PUBLIC_URL
+  const { r2Config } = options;
+  const targetStorage = r2Config
+    ? createR2Driver(r2Config, { publicUrl: process.env.R2_PUBLIC_URL || `${LEGACY_ZIP_PUBLIC_URL}/${r2Config.bucketName}` })
+    : storage;
+  if (!targetStorage && options.output === 'storage') {
+    return rejectInvalidParams(req, res, [{ field: 'output', message: 'Storage is not configured (STORAGE_DRIVER or R2_* environment variables); send r2Config or use output "stream"' }]);
+  }
+
+  const job = createJob('generate-zip', req.body, req.apiKey);
+  const response = options.direct && options.output === 'stream' ? res : null;
+
+  dispatchJob(req, res, job, (job) => processGenerateZip(job, { ...req.body, ...options, targetStorage, response }), 'ZIP generation failed');
+});
+
+// Pasta dentro do ZIP: segmentos sanitizados, sem "." e ".." (nada sai da raiz do arquivo)
+function archiveFolder(folder) {
+  return (folder || '').split(/[\\/]+/)
+    .map(segment => segment.replace(/[^a-zA-Z0-9._-]/g, '_'))
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .join('/');
+}
+
+// Caminho único no ZIP: "a.mp4", "a_2.mp4", "a_3.mp4"... Comparação sem diferenciar maiúsculas,
+// como no Windows/macOS, onde a extração sobrescreveria o arquivo
+function uniqueArchiveName(usedNames, folder, filename) {
+  const cleanName = filename.replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^\.+$/, '') || 'video';
+  const { name, ext } = path.parse(cleanName);
+  const prefix = folder ? `${folder}/` : '';
+
+  for (let n = 1; ; n++) {
+    const candidate = prefix + (n === 1 ? cleanName : `${name}_${n}${ext}`);
+    if (!usedNames.has(candidate.toLowerCase())) {
+      usedNames.add(candidate.toLowerCase());
+      return candidate;
+    }
+  }
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function zipManifestCsv(files) {
+  const columns = ['name', 'filename', 'folder', 'sizeBytes', 'durationSeconds', 'sha256'];
+  return [columns, ...files.map(file => columns.map(column => file[column]))]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Duração para o manifest; arquivos que o ffprobe não lê ficam com null
+async function probeArchiveDuration(job, filePath, filename) {
+  try {
+    const { durationSeconds } = await probeMedia(job, filePath, { requireVideo: false });
+    return durationSeconds;
+  } catch (error) {
+    logger.warn(`⚠️ [ZIP] Sem duração para ${filename}: ${error.message}`);
+    return null;
+  }
+}
+
+// ZIP sem compressão (vídeo já é comprimido); o chamador consome o stream retornado
+function createZipArchive(job, entries, manifest) {
+  const archive = archiver('zip', { store: true });
+
+  archive.on('progress', ({ entries: entriesProgress, fs: fsProgress }) => {
+    updateJobProgress(job, {
+      entries: entriesProgress.processed,
+      totalEntries: entriesProgress.total,
+      bytes: fsProgress.processedBytes,
+      totalBytes: fsProgress.totalBytes,
+      percent: fsProgress.totalBytes ? Math.round(fsProgress.processedBytes / fsProgress.totalBytes * 1000) / 10 : null
+    });
+  });
+  // O erro chega ao consumidor pelo estado do stream; o listener evita exceção não tratada
+  // enquanto o consumidor ainda não começou a ler (ex.: criando o multipart)
+  archive.on('error', error => logger.error(`❌ [ZIP] Erro no archiver: ${error.message}`));
+
+  for (const entry of entries) {
+    archive.file(entry.path, { name: entry.name });
+  }
+  if (manifest) {
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    archive.append(zipManifestCsv(manifest.files), { name: 'manifest.csv' });
+  }
+  archive.finalize().catch(() => {});
+  return archive;
+}
+
+async function processGenerateZip(job, params) {
+  const startTime = Date.now();
+
+  try {
+    logger.info('📦 [ZIP] Iniciando geração de ZIP (modo streaming)');
+
+    const {
+      jobId,
+      projectId,
+      userId,
+      videos,
+      productCode,
+      output,
+      direct,
+      manifest: includeManifest,
+      onDownloadFailure,
+      targetStorage,
+      response
+    } = params;
+
+    logger.info(`📦 [ZIP] Projeto: ${projectId}, Job: ${jobId}, Vídeos: ${videos.length}`);
+
+    // FASE 1: Baixar vídeos para arquivos temporários (STREAMING - não RAM)
+    setJobPhase(job, 'download');
+    logger.info('📥 [ZIP] Fase 1: Download de vídeos via streaming...');
+    const downloadResults = [];
+    const batchSize = 5;
+
+    // Progresso por vídeo, incluído em todo evento de progresso desta fase
+    const downloadsProgress = videos.map(video => ({
+      filename: video.filename,
+      status: 'pending',
+      bytes: 0,
+      totalBytes: null,
+      percent: 0
+    }));
+    job.progressContext = { downloads: downloadsProgress };
+    const reportDownloads = (force = false) => {
+      const done = downloadsProgress.filter(d => d.status === 'completed' || d.status === 'failed').length;
+      updateJobProgress(job, {
+        completed: done,
+        total: videos.length,
+        percent: Math.round(done / videos.length * 1000) / 10
+      }, { force });
+    };
+
+    for (let i = 0; i < videos.length; i += batchSize) {
+      assertNotCancelled(job);
+      const batch = videos.slice(i, i + batchSize);
+      logger.info(`📦 [ZIP] Batch ${Math.floor(i/batchSize) + 1}: vídeos ${i + 1}-${Math.min(i + batchSize, videos.length)}`);
+
+      const batchPromises = batch.map(async (video, idx) => {
+        const index = i + idx;
+        const tempPath = trackTempFile(job, path.join('/tmp', `video_${Date.now()}_${index}.mp4`));
+        const videoProgress = downloadsProgress[index];
+        videoProgress.status = 'downloading';
+        try {
+          await fetchToFile(video.r2SignedUrl, tempPath, {
+            signal: job.abortController.signal,
+            checksum: video.checksum,
+            onProgress: (bytes, totalBytes) => {
+              videoProgress.bytes = bytes;
+              videoProgress.totalBytes = totalBytes;
+              videoProgress.percent = totalBytes ? Math.round(bytes / totalBytes * 1000) / 10 : null;
+              reportDownloads();
+            }
+          });
+          const stats = await fs.stat(tempPath);
+          // SHA-256 e duração só entram no manifest
+          const [sha256, durationSeconds] = includeManifest
+            ? await Promise.all([hashFile(tempPath), probeArchiveDuration(job, tempPath, video.filename)])
+            : [null, null];
+          videoProgress.status = 'completed';
+          videoProgress.percent = 100;
+          reportDownloads(true);
+          logger.info(`✅ [ZIP] ${video.filename} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+          return { success: true, index, video, tempPath, size: stats.size, sha256, durationSeconds };
+        } catch (error) {
+          videoProgress.status = 'failed';
+          reportDownloads(true);
+          logger.error(`❌ [ZIP] ${video.filename}: ${error.message}`);
+          await fs.unlink(tempPath).catch(() => {});
+          return { success: false, index, video, error };
+        }
+      });
+
+      const results = await Promise.all(batchPromises);
+      downloadResults.push(...results);
+
+      // Política "fail": o job já vai falhar, os lotes seguintes não são baixados
+      if (onDownloadFailure === 'fail' && results.some(r => !r.success)) break;
+    }
+
+    assertNotCancelled(job);
+    const successfulDownloads = downloadResults.filter(r => r.success);
+    const failedDownloads = downloadResults.filter(r => !r.success);
+    const failed = failedDownloads.map(({ index, video, error }) => ({
+      index,
+      filename: video.filename,
+      folder: video.folder || null,
+      error: error.message
+    }));
+
+    if (failedDownloads.length > 0) {
+      logger.warn(`⚠️ [ZIP] ${failedDownloads.length} vídeos falharam`);
+      // 422 só quando todas as origens recusaram em definitivo (4xx, limite, checksum)
+      const status = failedDownloads.every(r => r.error.permanent) ? 422 : undefined;
+      if (successfulDownloads.length === 0) {
+        throw new ProcessingError('INPUT_DOWNLOAD_FAILED', 'Nenhum vídeo foi baixado com sucesso', { status, details: { failed } });
+      }
+      if (onDownloadFailure === 'fail') {
+        throw new ProcessingError('INPUT_DOWNLOAD_FAILED', `${failedDownloads.length} vídeo(s) falharam no download (onDownloadFailure=fail)`, { status, details: { failed } });
+      }
+    }
+
+    logger.info(`✅ [ZIP] ${successfulDownloads.length}/${videos.length} vídeos baixados`);
+
+    // Nomes no ZIP na ordem do pedido; o manifest reserva os nomes da raiz
+    const usedNames = new Set(includeManifest ? ZIP_MANIFEST_NAMES : []);
+    const entries = successfulDownloads.map(download => ({
+      ...download,
+      path: download.tempPath,
+      name: uniqueArchiveName(usedNames, archiveFolder(download.video.folder), download.video.filename)
+    }));
+    const renamedCount = entries.filter(entry => path.basename(entry.name) !== entry.video.filename).length;
+    if (renamedCount > 0) {
+      logger.info(`✏️ [ZIP] ${renamedCount} nome(s) sanitizados ou renomeados para evitar colisão`);
+    }
+
+    const manifest = includeManifest ? {
+      createdAt: new Date().toISOString(),
+      productCode: productCode || null,
+      projectId: projectId || null,
+      files: entries.map(entry => ({
+        name: entry.name,
+        filename: entry.video.filename,
+        folder: entry.video.folder || null,
+        sizeBytes: entry.size,
+        durationSeconds: entry.durationSeconds,
+        sha256: entry.sha256
+      })),
+      failed
+    } : null;
+
+    // Sanitizar nome do arquivo para evitar problemas com caracteres especiais
+    const sanitizedProductCode = (productCode || 'PROJETO').replace(/[^a-zA-Z0-9_-]/g, '_');
+    const zipFilename = `${sanitizedProductCode}_${String(projectId).replace(/[^a-zA-Z0-9_-]/g, '_')}_${Date.now()}.zip`;
+    const storageKey = `zips/${String(userId).replace(/[^a-zA-Z0-9_-]/g, '_')}/${zipFilename}`;
+
+    // FASE 2/3: Criar ZIP via streaming (archiver - não carrega tudo em RAM) e entregar
+    job.progressContext = {};
+    const signal = job.abortController.signal;
+    const streamToStorage = output === 'storage' && direct && Boolean(targetStorage.uploadStream);
+    if (output === 'storage' && direct && !streamToStorage) {
+      logger.warn(`⚠️ [ZIP] Storage ${targetStorage.name} não aceita upload por stream; usando arquivo temporário`);
+    }
+
+    let zipPath = null;
+    let zipSizeBytes;
+    let stored = null;
+
+    if (response) {
+      setJobPhase(job, 'zip');
+      logger.info('🔄 [ZIP] Fase 2: Enviando ZIP direto na resposta...');
+      response.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${zipFilename}"`,
+        'X-Videos-Count': entries.length.toString(),
+        'X-Failed-Count': failed.length.toString()
+      });
+      const archive = createZipArchive(job, entries, manifest);
+      try {
+        await pipeline(archive, response, { signal });
+      } catch (error) {
+        // Falha antes do primeiro byte: o erro ainda volta como JSON
+        if (!response.headersSent) {
+          ['Content-Type', 'Content-Disposition', 'X-Videos-Count', 'X-Failed-Count'].forEach(header => response.removeHeader(header));
+        }
+        throw error;
+      }
+      zipSizeBytes = archive.pointer();
+      outputBytesTotal.inc({ type: job.type, destination: 'stream' }, zipSizeBytes);
+    } else if (streamToStorage) {
+      setJobPhase(job, 'upload');
+      logger.info(`☁️ [ZIP] Fase 2: ZIP direto para ${targetStorage.name} (multipart via stream)...`);
+      stored = await storeOutputStream(job, targetStorage, createZipArchive(job, entries, manifest), storageKey, 'application/zip');
+      zipSizeBytes = stored.size;
+    } else {
+      setJobPhase(job, 'zip');
+      logger.info('🔄 [ZIP] Fase 2: Criando arquivo ZIP via streaming...');
+      zipPath = trackTempFile(job, path.join('/tmp', `zip_${Date.now()}.zip`));
+      await pipeline(createZipArchive(job, entries, manifest), fsSync.createWriteStream(zipPath), { signal });
+      zipSizeBytes = (await fs.stat(zipPath)).size;
+      logger.info(`✅ [ZIP] ZIP criado: ${(zipSizeBytes / 1024 / 1024).toFixed(2)} MB`);
+
+      // Vídeos individuais não são mais necessários
+      for (const { tempPath } of successfulDownloads) {
+        await fs.unlink(tempPath).catch(() => {});
+      }
+
+      if (output === 'storage') {
+        // FASE 3: Upload para o storage via streaming
+        setJobPhase(job, 'upload');
+        logger.info(`☁️ [ZIP] Fase 3: Upload para ${targetStorage.name} via streaming...`);
+        stored = await storeOutput(job, targetStorage, zipPath, storageKey, 'application/zip');
+      }
+    }
+    if (stored) logger.info(`✅ [ZIP] Upload completo: ${stored.key}`);
+
+    // Webhook (job.completed) e remoção dos temporários ficam a cargo do runJob
+    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.info(`🎉 [ZIP] Concluído em ${processingTime}s`);
+
+    const body = {
+      success: true,
+      ...(stored && { zipPath: stored.key, zipPublicUrl: stored.url }),
+      zipSizeBytes,
+      videosCount: entries.length,
+      failedCount: failed.length,
+      failed,
+      processingTimeSeconds: parseFloat(processingTime)
+    };
+
+    if (response) {
+      return { body, streamed: true };
+    }
+    if (output === 'stream') {
+      return {
+        body,
+        file: {
+          path: zipPath,
+          headers: {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${zipFilename}"`,
+            'X-Processing-Time': processingTime,
+            'X-Videos-Count': entries.length.toString(),
+            'X-Failed-Count': failed.length.toString()
+          }
+        }
+      };
+    }
+    return { body };
+
+  } catch (error) {
+    logger.error('❌ [ZIP] Erro fatal:', error);
+    throw error;
+  }
+}
+
+// ============================================
+// STORAGE: Drivers intercambiáveis (r2, s3, supabase, local)
+// ============================================
+// Todos expõem a mesma interface:
+//   upload(localPath, key, { contentType, signal, onProgress }) -> { key, size }
+//   uploadStream(stream, key, { contentType, signal, onProgress }) -> { key, size } (só s3/r2 e local)
+//   download(key, localPath, { signal, onProgress })
+//   getUrl(key, { expiresSeconds }) -> URL pública ou assinada
+// O prefixo (STORAGE_PREFIX) vale só para escrita; as keys retornadas já o incluem.
+const LEGACY_ZIP_PUBLIC_URL = 'https://pub-93cb8cc35ae64cf69f0ea248148ad1b2.r2.dev';
+
+function joinStorageKey(prefix, key) {
+  const cleanPrefix = (prefix || '').replace(/^\/+|\/+$/g, '');
+  return cleanPrefix ? `${cleanPrefix}/${key}` : key;
+}
+
+// Key padrão: <pasta>/<userId>/<timestamp>_<nome>
+function buildStorageKey(folder, name, userId) {
+  const baseName = path.parse(name || '').name.replace(/[^a-zA-Z0-9_-]/g, '_') || 'video';
+  const userFolder = userId ? `/${String(userId).replace(/[^a-zA-Z0-9_-]/g, '_')}` : '';
+  return `${folder}${userFolder}/${Date.now()}_${baseName}`;
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Presigned URL AWS SigV4 (R2, S3, MinIO). query: parâmetros extras assinados
+function createS3PresignedUrl(s3Config, method, key, { expiresSeconds = 3600, query = {} } = {}) {
+  const { endpoint, region = 'auto', bucket, accessKeyId, secretAccessKey, forcePathStyle = true } = s3Config;
+  const service = 's3';
+  const endpointUrl = new URL(endpoint);
+  const host = forcePathStyle ? endpointUrl.host : `${bucket}.${endpointUrl.host}`;
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+  const canonicalUri = forcePathStyle ? `/${bucket}/${encodedKey}` : `/${encodedKey}`;
+
+  // Credential e query params
+  const credential = `${accessKeyId}/${dateStamp}/${region}/${service}/aws4_request`;
+
+  // Query params DEVEM estar ordenados (ordem de bytes) para AWS v4
+  const sortedParams = [
+    ['X-Amz-Algorithm', 'AWS4-HMAC-SHA256'],
+    ['X-Amz-Credential', credential],
+    ['X-Amz-Date', amzDate],
+    ['X-Amz-Expires', String(expiresSeconds)],
+    ['X-Amz-SignedHeaders', 'host'],
+    ...Object.entries(query).map(([k, v]) => [k, String(v)])
+  ].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+  const queryString = sortedParams.map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`).join('&');
+
+  // Canonical request para assinatura
+  const canonicalRequest = `${method}\n${canonicalUri}\n${queryString}\nhost:${host}\n\nhost\nUNSIGNED-PAYLOAD`;
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = `AWS4-HMAC-SHA256\n${amzDate}\n${credentialScope}\n${crypto.createHash('sha256').update(canonicalRequest).digest('hex')}`;
+
+  // Derivar signing key
+  const kDate = crypto.createHmac('sha256', `AWS4${secretAccessKey}`).update(dateStamp).digest();
+  const kRegion = crypto.createHmac('sha256', kDate).update(region).digest();
+  const kService = crypto.createHmac('sha256', kRegion).update(service).digest();
+  const kSigning = crypto.createHmac('sha256', kService).update('aws4_request').digest();
+  const signature = crypto.createHmac('sha256', kSigning).update(stringToSign).digest('hex');
+
+  // URL final - usar mesmo encoding da canonical request
+  return `${endpointUrl.protocol}//${host}${canonicalUri}?${queryString}&X-Amz-Signature=${signature}`;
+}
+
+// Multipart: arquivos a partir do limite vão em partes paralelas; só as partes com falha são reenviadas
+const MULTIPART_THRESHOLD_BYTES = (parseInt(process.env.MULTIPART_THRESHOLD_MB) || 100) * 1024 * 1024;
+const MULTIPART_PART_SIZE_BYTES = Math.max(5, parseInt(process.env.MULTIPART_PART_SIZE_MB) || 16) * 1024 * 1024;
+const MULTIPART_CONCURRENCY = Math.max(1, parseInt(process.env.MULTIPART_CONCURRENCY) || 4);
+const MULTIPART_MAX_PARTS = 10000;
+
+function matchXmlTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : null;
+}
+
+// S3 pode responder 200 com <Error> no CompleteMultipartUpload
+function assertNoXmlError(xml, operation) {
+  if (/<Error>/.test(xml)) {
+    throw new Error(`${operation} falhou: ${matchXmlTag(xml, 'Code')} - ${matchXmlTag(xml, 'Message')}`);
+  }
+}
+
+async function createS3MultipartUpload(s3Config, key, { contentType, signal }) {
+  const created = await sendPresignedRequest(createS3PresignedUrl(s3Config, 'POST', key, { query: { uploads: '' } }), {
+    method: 'POST',
+    contentType,
+    signal,
+    timeoutMs: 60000
+  });
+  const uploadId = matchXmlTag(created.body, 'UploadId');
+  if (!uploadId) throw new Error(`CreateMultipartUpload sem UploadId: ${created.body.substring(0, 200)}`);
+  return uploadId;
+}
+
+// Parte index (0-based): trecho [start, start + length) de filePath ou um Buffer em body
+async function uploadS3Part(s3Config, key, uploadId, index, { filePath = null, start = 0, length = 0, body = null }, { signal, onProgress = null }) {
+  const partUrl = createS3PresignedUrl(s3Config, 'PUT', key, { query: { partNumber: index + 1, uploadId } });
+  const { headers, md5 } = await uploadPresignedWithRetry(partUrl, filePath, body ? body.length : length, {
+    start,
+    body,
+    contentType: null,
+    signal,
+    timeoutMs: 600000,
+    onProgress
+  });
+
+  // ETag da parte é o MD5 do conteúdo (exceto com criptografia SSE-KMS/SSE-C)
+  const etag = (headers.etag || '').replace(/"/g, '');
+  if (/^[0-9a-f]{32}$/.test(etag) && etag !== md5) {
+    throw new Error(`ETag divergente na parte ${index + 1}: ${etag} != ${md5}`);
+  }
+  return { partNumber: index + 1, etag: headers.etag, md5 };
+}
+
+async function completeS3MultipartUpload(s3Config, key, uploadId, parts, sizeBytes, { signal }) {
+  const completeXml = '<CompleteMultipartUpload>' +
+    parts.map(p => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`).join('') +
+    '</CompleteMultipartUpload>';
+  const completed = await sendPresignedRequest(createS3PresignedUrl(s3Config, 'POST', key, { query: { uploadId } }), {
+    method: 'POST',
+    body: completeXml,
+    contentType: 'application/xml',
+    signal,
+    timeoutMs: 600000
+  });
+  assertNoXmlError(completed.body, 'CompleteMultipartUpload');
+
+  // Verificação: ETag multipart = MD5 dos MD5s das partes + "-N"; tamanho via HEAD
+  const etag = (matchXmlTag(completed.body, 'ETag') || '').replace(/&quot;|"/g, '');
+  const expectedEtag = `${crypto.createHash('md5').update(Buffer.concat(parts.map(p => Buffer.from(p.md5, 'hex')))).digest('hex')}-${parts.length}`;
+  if (/^[0-9a-f]{32}-\d+$/.test(etag) && etag !== expectedEtag) {
+    throw new Error(`ETag final divergente: ${etag} != ${expectedEtag}`);
+  }
+
+  const head = await sendPresignedRequest(createS3PresignedUrl(s3Config, 'HEAD', key), { method: 'HEAD', signal, timeoutMs: 60000 });
+  const storedSize = parseInt(head.headers['content-length']);
+  if (storedSize !== sizeBytes) {
+    throw new Error(`Tamanho final divergente: ${storedSize} != ${sizeBytes}`);
+  }
+
+  logger.info(`✅ [STORAGE] Multipart completo: ${key} (${etag || 'sem ETag'})`);
+  return etag;
+}
+
+// Abortar o upload incompleto para não deixar partes órfãs no bucket
+async function abortS3MultipartUpload(s3Config, key, uploadId) {
+  await sendPresignedRequest(createS3PresignedUrl(s3Config, 'DELETE', key, { query: { uploadId } }), {
+    method: 'DELETE',
+    timeoutMs: 60000
+  }).catch(abortError => logger.error(`❌ [STORAGE] Erro ao abortar multipart ${uploadId}:`, abortError.message));
+}
+
+async function uploadS3Multipart(s3Config, key, filePath, sizeBytes, { contentType, signal = null, onProgress = null }) {
+  const partSize = Math.max(MULTIPART_PART_SIZE_BYTES, Math.ceil(sizeBytes / MULTIPART_MAX_PARTS));
+  const partCount = Math.ceil(sizeBytes / partSize);
+  const uploadId = await createS3MultipartUpload(s3Config, key, { contentType, signal });
+
+  logger.info(`📦 [STORAGE] Multipart ${key}: ${partCount} partes de ${(partSize / 1024 / 1024).toFixed(0)}MB`);
+
+  // Falha definitiva de uma parte interrompe as demais
+  const controller = new AbortController();
+  const detachAbort = onAbort(signal, () => controller.abort());
+  const parts = new Array(partCount);
+  const sentBytes = new Array(partCount).fill(0);
+  const queue = Array.from({ length: partCount }, (_, i) => i);
+
+  try {
+    const uploadWorker = async () => {
+      while (queue.length > 0 && !controller.signal.aborted) {
+        const index = queue.shift();
+        const start = index * partSize;
+        const length = Math.min(partSize, sizeBytes - start);
+
+        try {
+          parts[index] = await uploadS3Part(s3Config, key, uploadId, index, { filePath, start, length }, {
+            signal: controller.signal,
+            onProgress: onProgress && ((bytes) => {
+              sentBytes[index] = bytes;
+              onProgress(sentBytes.reduce((a, b) => a + b, 0), sizeBytes);
+            })
+          });
+        } catch (error) {
+          controller.abort();
+          throw error;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(MULTIPART_CONCURRENCY, partCount) }, uploadWorker));
+    if (signal && signal.aborted) throw new Error('Upload cancelado');
+
+    const etag = await completeS3MultipartUpload(s3Config, key, uploadId, parts, sizeBytes, { signal });
+    return { etag, parts: partCount };
+  } catch (error) {
+    await abortS3MultipartUpload(s3Config, key, uploadId);
+    throw error;
+  } finally {
+    detachAbort();
+  }
+}
 
-    if (!videoUrl) {
-      return res.status(400).json({ error: 'videoUrl is required' });
-    }
+// Multipart de um stream de tamanho desconhecido (ZIP gerado durante o upload): as partes ficam em memória,
+// no máximo MULTIPART_CONCURRENCY enviando e uma sendo preenchida
+async function uploadS3MultipartStream(s3Config, key, stream, { contentType, signal = null, onProgress = null }) {
+  const uploadId = await createS3MultipartUpload(s3Config, key, { contentType, signal });
+  logger.info(`📦 [STORAGE] Multipart (stream) ${key}: partes de ${(MULTIPART_PART_SIZE_BYTES / 1024 / 1024).toFixed(0)}MB`);
 
-    console.log(`🎬 Comprimindo vídeo de URL: ${videoUrl.substring(0, 100)}...`);
+  const controller = new AbortController();
+  const detachAbort = onAbort(signal, () => controller.abort());
+  const parts = [];
+  const inFlight = new Set();
+  let chunks = [];
+  let bufferedBytes = 0;
+  let sizeBytes = 0;
+  let failure = null;
 
-    inputPath = path.join('/tmp', `input_${Date.now()}.mp4`);
-    outputPath = path.join('/tmp', `compressed_${Date.now()}.mp4`);
+  const sendPart = () => {
+    const index = parts.length;
+    const body = Buffer.concat(chunks);
+    chunks = [];
+    bufferedBytes = 0;
+    parts.push(null);
+    const upload = uploadS3Part(s3Config, key, uploadId, index, { body }, { signal: controller.signal })
+      .then((part) => { parts[index] = part; })
+      .catch((error) => {
+        failure = failure || error;
+        controller.abort();
+      })
+      .finally(() => inFlight.delete(upload));
+    inFlight.add(upload);
+  };
 
-    // STREAMING: Download direto para arquivo (não RAM)
-    console.log('📥 Baixando vídeo via streaming...');
-    await downloadToFile(videoUrl, inputPath, 300000);
+  try {
+    for await (const chunk of stream) {
+      if (failure) throw failure;
+      chunks.push(chunk);
+      bufferedBytes += chunk.length;
+      sizeBytes += chunk.length;
+      if (onProgress) onProgress(sizeBytes, null);
 
-    const inputStats = await fs.stat(inputPath);
-    const originalSize = inputStats.size;
-    console.log(`✅ Download completo: ${(originalSize / 1024 / 1024).toFixed(2)}MB`);
+      if (bufferedBytes >= MULTIPART_PART_SIZE_BYTES) {
+        if (parts.length >= MULTIPART_MAX_PARTS - 1) {
+          throw new Error(`Stream excede ${MULTIPART_MAX_PARTS} partes de ${(MULTIPART_PART_SIZE_BYTES / 1024 / 1024).toFixed(0)}MB`);
+        }
+        sendPart();
+        while (inFlight.size >= MULTIPART_CONCURRENCY) await Promise.race(inFlight);
+      }
+    }
+    // Última parte pode ser menor que o mínimo de 5MB
+    if (bufferedBytes > 0 || parts.length === 0) sendPart();
+    await Promise.all(inFlight);
+    if (failure) throw failure;
+    if (signal && signal.aborted) throw new Error('Upload cancelado');
 
-    const compressionCrf = crf || 23;
-    const compressionPreset = preset || 'medium';
+    const etag = await completeS3MultipartUpload(s3Config, key, uploadId, parts, sizeBytes, { signal });
+    return { etag, parts: parts.length, size: sizeBytes };
+  } catch (error) {
+    controller.abort();
+    stream.destroy();
+    await Promise.all(inFlight);
+    await abortS3MultipartUpload(s3Config, key, uploadId);
+    throw error;
+  } finally {
+    detachAbort();
+  }
+}
 
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" \
-      -c:v libx264 -preset ${compressionPreset} -crf ${compressionCrf} \
-      -maxrate 5M -bufsize 10M \
-      -c:a aac -b:a 128k \
-      -movflags +faststart \
-      -y "${outputPath}"`;
+function createS3Driver({ name = 's3', endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true, publicUrl = null, prefix = '', urlExpires = 3600 }) {
+  const s3Config = { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle };
 
-    console.log(`⚙️ Comprimindo (CRF ${compressionCrf}, preset ${compressionPreset})...`);
-    await execAsync(ffmpegCmd, { maxBuffer: 100 * 1024 * 1024 });
+  return {
+    name,
+    bucket,
+    prefix,
+    s3Config,
+    async upload(localPath, key, { contentType = 'application/octet-stream', signal = null, onProgress = null } = {}) {
+      const fullKey = joinStorageKey(prefix, key);
+      const { size } = await fs.stat(localPath);
+      if (size >= MULTIPART_THRESHOLD_BYTES) {
+        await uploadS3Multipart(s3Config, fullKey, localPath, size, { contentType, signal, onProgress });
+      } else {
+        await uploadPresignedWithRetry(createS3PresignedUrl(s3Config, 'PUT', fullKey), localPath, size, { contentType, signal, onProgress });
+      }
+      return { key: fullKey, size };
+    },
+    async uploadStream(stream, key, { contentType = 'application/octet-stream', signal = null, onProgress = null } = {}) {
+      const fullKey = joinStorageKey(prefix, key);
+      const { size } = await uploadS3MultipartStream(s3Config, fullKey, stream, { contentType, signal, onProgress });
+      return { key: fullKey, size };
+    },
+    async download(key, localPath, options = {}) {
+      return downloadToFile(createS3PresignedUrl(s3Config, 'GET', key), localPath, options);
+    },
+    async getUrl(key, { expiresSeconds = urlExpires } = {}) {
+      if (publicUrl) return `${publicUrl.replace(/\/+$/, '')}/${key}`;
+      return createS3PresignedUrl(s3Config, 'GET', key, { expiresSeconds });
+    }
+  };
+}
 
-    const outputStats = await fs.stat(outputPath);
-    const compressedSize = outputStats.size;
-    const compressionRatio = ((1 - compressedSize / originalSize) * 100).toFixed(1);
+// R2 = S3 com endpoint da conta Cloudflare (mesmo formato de r2Config do /generate-zip)
+function createR2Driver(r2Config, { publicUrl = null, prefix = '', urlExpires = 3600 } = {}) {
+  return createS3Driver({
+    name: 'r2',
+    endpoint: `https://${r2Config.accountId}.r2.cloudflarestorage.com`,
+    region: 'auto',
+    bucket: r2Config.bucketName,
+    accessKeyId: r2Config.accessKeyId,
+    secretAccessKey: r2Config.secretAccessKey,
+    publicUrl: r2Config.publicUrl || publicUrl,
+    prefix,
+    urlExpires
+  });
+}
 
-    console.log(`✅ Compressão: ${(originalSize / 1024 / 1024).toFixed(2)}MB → ${(compressedSize / 1024 / 1024).toFixed(2)}MB (${compressionRatio}% redução)`);
+// checkHost: URL vinda do corpo da requisição (política de URLs externas em todas as chamadas).
+// signUrls false: getUrl de bucket privado retorna null em vez de pedir URL assinada
+function createSupabaseDriver({ url, serviceKey, bucket = 'videos', isPublic = false, prefix = '', urlExpires = 3600, checkHost = false, signUrls = true }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  const authHeaders = { 'Authorization': `Bearer ${serviceKey}` };
 
-    // Upload para Supabase Storage se fornecido
-    if (supabaseUrl && supabaseKey && targetOutputPath) {
-      console.log(`📤 Fazendo upload para Supabase: ${targetOutputPath}`);
-      
+  return {
+    name: 'supabase',
+    bucket,
+    prefix,
+    async upload(localPath, key, { contentType = 'application/octet-stream', signal = null, onProgress = null } = {}) {
+      const fullKey = joinStorageKey(prefix, key);
+      const { size } = await fs.stat(localPath);
       // STREAMING: Upload via stream (não carregar em RAM)
       await uploadFileStream(
-        `${supabaseUrl}/storage/v1/object/videos/${targetOutputPath}`,
-        outputPath,
-        {
-          'Authorization': `Bearer ${supabaseKey}`,
-          'Content-Type': 'video/mp4',
-          'x-upsert': 'true'
-        }
+        `${baseUrl}/storage/v1/object/${bucket}/${fullKey}`,
+        localPath,
+        { ...authHeaders, 'Content-Type': contentType, 'x-upsert': 'true' },
+        { signal, onProgress, checkHost }
       );
+      return { key: fullKey, size };
+    },
+    async download(key, localPath, options = {}) {
+      return downloadToFile(`${baseUrl}/storage/v1/object/${bucket}/${key}`, localPath, { ...options, headers: authHeaders, checkHost });
+    },
+    async getUrl(key, { expiresSeconds = urlExpires } = {}) {
+      if (isPublic) return `${baseUrl}/storage/v1/object/public/${bucket}/${key}`;
+      if (!signUrls) return null;
+      const data = await postJson(`${baseUrl}/storage/v1/object/sign/${bucket}/${key}`, { expiresIn: expiresSeconds }, authHeaders, { checkHost });
+      return `${baseUrl}/storage/v1${data.signedURL}`;
+    }
+  };
+}
 
-      console.log('✅ Upload completo');
-
-      const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
-
-      // Cleanup
-      await fs.unlink(inputPath).catch(() => {});
-      await fs.unlink(outputPath).catch(() => {});
+// Diretório local (desenvolvimento offline); arquivos servidos em /storage
+function createLocalDriver({ dir, publicBaseUrl, prefix = '' }) {
+  const root = path.resolve(dir);
+  const resolveKey = (key) => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(root + path.sep)) throw new Error(`Key inválida: ${key}`);
+    return target;
+  };
 
-      res.json({
-        success: true,
-        outputPath: targetOutputPath,
-        originalSize,
-        compressedSize,
-        compressionRatio: parseFloat(compressionRatio),
-        processingTime: parseFloat(processingTime)
+  return {
+    name: 'local',
+    bucket: null,
+    prefix,
+    dir: root,
+    async upload(localPath, key, { onProgress = null } = {}) {
+      const fullKey = joinStorageKey(prefix, key);
+      const target = resolveKey(fullKey);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(localPath, target);
+      const { size } = await fs.stat(target);
+      if (onProgress) onProgress(size, size);
+      return { key: fullKey, size };
+    },
+    async uploadStream(stream, key, { signal = null, onProgress = null } = {}) {
+      const fullKey = joinStorageKey(prefix, key);
+      const target = resolveKey(fullKey);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          if (onProgress) onProgress(size, null);
+          callback(null, chunk);
+        }
       });
-    } else {
-      // STREAMING: Retornar o vídeo via stream
-      const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+      try {
+        await pipeline(stream, counter, fsSync.createWriteStream(target), { signal: signal || undefined });
+      } catch (error) {
+        await fs.unlink(target).catch(() => {});
+        throw error;
+      }
+      return { key: fullKey, size };
+    },
+    async download(key, localPath, { onProgress = null } = {}) {
+      await fs.copyFile(resolveKey(key), localPath);
+      const { size } = await fs.stat(localPath);
+      if (onProgress) onProgress(size, size);
+    },
+    async getUrl(key) {
+      return `${publicBaseUrl.replace(/\/+$/, '')}/storage/${key}`;
+    }
+  };
+}
 
-      res.set({
-        'Content-Type': 'video/mp4',
-        'Content-Length': compressedSize,
-        'X-Processing-Time': processingTime,
-        'X-Original-Size': originalSize.toString(),
-        'X-Compressed-Size': compressedSize.toString(),
-        'X-Compression-Ratio': compressionRatio
-      });
+// Configuração R2 a partir das variáveis R2_* (null se incompleta)
+function getR2ConfigFromEnv() {
+  const { R2_ACCOUNT_ID, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_BUCKET_NAME } = process.env;
+  if (!R2_ACCOUNT_ID || !R2_ACCESS_KEY_ID || !R2_SECRET_ACCESS_KEY || !R2_BUCKET_NAME) return null;
 
-      // Cleanup robusto - executa em end, error OU close (cliente desconectou)
-      const cleanup = async () => {
-        try {
-          if (inputPath) await fs.unlink(inputPath).catch(() => {});
-          if (outputPath) await fs.unlink(outputPath).catch(() => {});
-        } catch (e) {}
-      };
+  return {
+    accountId: R2_ACCOUNT_ID,
+    accessKeyId: R2_ACCESS_KEY_ID,
+    secretAccessKey: R2_SECRET_ACCESS_KEY,
+    bucketName: R2_BUCKET_NAME
+  };
+}
 
-      const fileStream = fsSync.createReadStream(outputPath);
-      fileStream.pipe(res);
+// Driver padrão a partir de STORAGE_DRIVER (default: r2 quando R2_* estiver completo)
+function createStorageFromEnv() {
+  const env = process.env;
+  const prefix = env.STORAGE_PREFIX || '';
+  const urlExpires = parseInt(env.STORAGE_URL_EXPIRES || env.R2_URL_EXPIRES) || 3600;
+  const driver = env.STORAGE_DRIVER || (getR2ConfigFromEnv() ? 'r2' : null);
 
-      fileStream.on('end', cleanup);
-      fileStream.on('error', async (err) => {
-        console.error('❌ Erro no stream compress:', err);
-        await cleanup();
+  switch (driver) {
+    case 'r2': {
+      const r2Config = getR2ConfigFromEnv();
+      if (!r2Config) throw new Error('STORAGE_DRIVER=r2 requer R2_ACCOUNT_ID, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY e R2_BUCKET_NAME');
+      return createR2Driver(r2Config, { publicUrl: env.R2_PUBLIC_URL, prefix, urlExpires });
+    }
+    case 's3':
+      if (!env.S3_ENDPOINT || !env.S3_BUCKET || !env.S3_ACCESS_KEY_ID || !env.S3_SECRET_ACCESS_KEY) {
+        throw new Error('STORAGE_DRIVER=s3 requer S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY');
+      }
+      return createS3Driver({
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION || 'us-east-1',
+        bucket: env.S3_BUCKET,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false',
+        publicUrl: env.S3_PUBLIC_URL,
+        prefix,
+        urlExpires
+      });
+    case 'supabase':
+      if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+        throw new Error('STORAGE_DRIVER=supabase requer SUPABASE_URL e SUPABASE_SERVICE_ROLE_KEY');
+      }
+      return createSupabaseDriver({
+        url: env.SUPABASE_URL,
+        serviceKey: env.SUPABASE_SERVICE_ROLE_KEY,
+        bucket: env.SUPABASE_BUCKET || 'videos',
+        isPublic: env.SUPABASE_PUBLIC === 'true',
+        prefix,
+        urlExpires
       });
-      res.on('close', async () => {
-        fileStream.destroy();
-        await cleanup();
+    case 'local':
+      return createLocalDriver({
+        dir: env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'storage'),
+        publicBaseUrl: env.STORAGE_PUBLIC_BASE_URL || `http://localhost:${PORT}`,
+        prefix
       });
-    }
+    case null:
+      return null;
+    default:
+      throw new Error(`STORAGE_DRIVER inválido: ${driver} (use r2, s3, supabase ou local)`);
+  }
+}
 
-  } catch (error) {
-    console.error('❌ Erro na compressão:', error);
-    try {
-      if (inputPath) await fs.unlink(inputPath).catch(() => {});
-      if (outputPath) await fs.unlink(outputPath).catch(() => {});
-    } catch (e) {}
-    res.status(500).json({
-      error: 'Compression failed',
-      message: error.message
-    });
+const storage = createStorageFromEnv();
+
+if (storage) {
+  logger.info(`🗄️ Storage: ${storage.name}${storage.bucket ? ` (${storage.bucket})` : ''}`);
+  // Saídas exigem API key como o resto da API, salvo STORAGE_LOCAL_PUBLIC=true
+  if (storage.name === 'local') {
+    const storageAuth = process.env.STORAGE_LOCAL_PUBLIC === 'true' ? [] : [requireApiKey];
+    app.use('/storage', ...storageAuth, express.static(storage.dir));
   }
-});
+} else {
+  logger.warn('⚠️ Nenhum storage configurado - saídas apenas via stream');
+}
 
-// ============================================
-// HELPER: Download direto para arquivo (STREAMING)
-// ============================================
-async function downloadToFile(url, outputPath, timeoutMs = 300000) {
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    const protocol = parsedUrl.protocol === 'https:' ? https : http;
-    const fileStream = fsSync.createWriteStream(outputPath);
-    
-    const options = {
-      hostname: parsedUrl.hostname,
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: 'GET',
-      timeout: timeoutMs,
-      rejectUnauthorized: false,
-      requestCert: false,
-      agent: false
-    };
+const STORAGE_URL_PREFIX = 'storage://';
 
-    const req = protocol.request(options, (response) => {
-      if (response.statusCode !== 200) {
-        fileStream.close();
-        fs.unlink(outputPath).catch(() => {});
-        return reject(new Error(`HTTP ${response.statusCode}`));
-      }
-      
-      // STREAMING: Pipe direto para arquivo
-      response.pipe(fileStream);
-      
-      fileStream.on('finish', () => {
-        fileStream.close();
-        resolve();
-      });
-      
-      fileStream.on('error', (err) => {
-        fileStream.close();
-        fs.unlink(outputPath).catch(() => {});
-        reject(err);
-      });
-    });
+// Key de uma entrada storage://: mesma regra das keys de saída (sem "..") e, com STORAGE_PREFIX,
+// só objetos dentro do prefixo; retorna a mensagem de erro ou null
+function storageInputKeyError(key) {
+  if (!key || key.length > STORAGE_KEY_RULE.maxLength || !STORAGE_KEY_RULE.pattern.test(key)) {
+    return `storage:// key ${STORAGE_KEY_RULE.message} (no "..")`;
+  }
+  const prefix = storage ? joinStorageKey(storage.prefix, '') : '';
+  if (prefix && !key.startsWith(prefix)) return `storage:// key must start with "${prefix}"`;
+  return null;
+}
 
-    req.on('error', (error) => {
-      fileStream.close();
-      fs.unlink(outputPath).catch(() => {});
-      reject(new Error(`Erro de rede: ${error.message}`));
-    });
+// Entradas: URLs http(s) ou "storage://<key>" lidas do storage configurado
+async function fetchToFile(url, outputPath, options = {}) {
+  const fromStorage = url.startsWith(STORAGE_URL_PREFIX);
+  if (fromStorage) {
+    if (!storage) throw new Error('storage:// requer um storage configurado');
+    const key = url.slice(STORAGE_URL_PREFIX.length);
+    const keyError = storageInputKeyError(key);
+    if (keyError) throw new Error(keyError);
+    await storage.download(key, outputPath, options);
+  } else {
+    await downloadToFile(url, outputPath, { ...options, checkHost: true });
+  }
 
-    req.on('timeout', () => {
-      req.destroy();
-      fileStream.close();
-      fs.unlink(outputPath).catch(() => {});
-      reject(new Error('Download timeout'));
-    });
+  const { size } = await fs.stat(outputPath);
+  inputBytesTotal.inc({ source: fromStorage ? 'storage' : 'url' }, size);
+}
 
-    req.end();
+// Upload de um resultado; retorna key, URL e tamanho
+async function storeOutput(job, targetStorage, localPath, key, contentType) {
+  const { key: storedKey, size } = await targetStorage.upload(localPath, key, {
+    contentType,
+    signal: job.abortController.signal,
+    onProgress: transferProgress(job)
   });
+  outputBytesTotal.inc({ type: job.type, destination: 'storage' }, size);
+  return { key: storedKey, url: await targetStorage.getUrl(storedKey), size };
+}
+
+// Mesmo que storeOutput, lendo de um stream (sem arquivo local); requer driver com uploadStream
+async function storeOutputStream(job, targetStorage, stream, key, contentType) {
+  const { key: storedKey, size } = await targetStorage.uploadStream(stream, key, {
+    contentType,
+    signal: job.abortController.signal,
+    onProgress: transferProgress(job)
+  });
+  outputBytesTotal.inc({ type: job.type, destination: 'storage' }, size);
+  return { key: storedKey, url: await targetStorage.getUrl(storedKey), size };
 }
 
 // ============================================
-// HELPER: Upload arquivo via stream
+// HELPER: POST JSON (respostas JSON)
 // ============================================
-async function uploadFileStream(uploadUrl, filePath, headers = {}) {
-  const stats = await fs.stat(filePath);
-  
+// checkHost: mesma política de downloadToFile. O corpo de respostas de erro vai só para o log.
+async function postJson(targetUrl, payload, headers = {}, { checkHost = false } = {}) {
+  const url = new URL(targetUrl);
+  if (checkHost) assertFetchAllowed(url);
+  const protocol = url.protocol === 'https:' ? https : http;
+  const body = JSON.stringify(payload);
+
   return new Promise((resolve, reject) => {
-    const url = new URL(uploadUrl);
-    const fileStream = fsSync.createReadStream(filePath);
-    
-    const options = {
+    const req = protocol.request({
       method: 'POST',
       hostname: url.hostname,
-      path: url.pathname,
+      port: url.port || undefined,
+      path: url.pathname + url.search,
       headers: {
         ...headers,
-        'Content-Length': stats.size
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
       },
-      timeout: 600000 // 10 minutos
-    };
-    
-    const req = https.request(options, (res) => {
+      timeout: 30000,
+      lookup: checkHost && !FETCH_ALLOW_PRIVATE_IPS ? guardedLookup : undefined
+    }, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(data);
-        } else {
-          reject(new Error(`Upload failed: ${res.statusCode} - ${data}`));
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          logger.warn(`⚠️ POST ${url.host}${url.pathname} → HTTP ${res.statusCode}: ${data.substring(0, 200)}`);
+          return reject(new Error(`HTTP ${res.statusCode}`));
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          logger.warn(`⚠️ POST ${url.host}${url.pathname} → resposta inválida: ${data.substring(0, 200)}`);
+          reject(new Error('Resposta inválida'));
         }
       });
     });
-    
-    req.on('error', (err) => {
-      fileStream.destroy();
-      reject(err);
-    });
+
+    req.on('error', reject);
     req.on('timeout', () => {
       req.destroy();
-      reject(new Error('Upload timeout'));
+      reject(new Error('Timeout na requisição'));
     });
-    
-    fileStream.pipe(req);
+
+    req.write(body);
+    req.end();
   });
 }
 
 // ============================================
-// ENDPOINT: /generate-zip (STREAMING COMPLETO)
+// HELPER: Requisição em URL presigned (R2/S3) via streaming
 // ============================================
-app.post('/generate-zip', express.json({ limit: '50mb' }), async (req, res) => {
-  const startTime = Date.now();
-  const tempFiles = [];
-  let zipPath = null;
-  
-  try {
-    console.log('📦 [ZIP] Iniciando geração de ZIP (modo streaming)');
-    
-    const { 
-      jobId,
-      projectId, 
-      userId, 
-      videos = [], 
-      productCode,
-      r2Config,
-      notificationWebhook 
-    } = req.body;
+// Corpo: trecho [start, start + sizeBytes) de filePath ou body (string/Buffer). Resolve { statusCode, headers, body, md5 }
+async function sendPresignedRequest(requestUrl, options = {}) {
+  const {
+    method = 'PUT',
+    filePath = null,
+    start = 0,
+    sizeBytes = 0,
+    body = null,
+    contentType = null,
+    signal = null,
+    onProgress = null,
+    timeoutMs = 3600000 // 60 minutos
+  } = options;
 
-    if (!videos || videos.length === 0) {
-      return res.status(400).json({ error: 'Nenhum vídeo fornecido' });
-    }
+  if (signal && signal.aborted) throw new Error('Upload cancelado');
 
-    console.log(`📦 [ZIP] Projeto: ${projectId}, Job: ${jobId}, Vídeos: ${videos.length}`);
+  return new Promise((resolvePromise, rejectPromise) => {
+    const detachAbort = onAbort(signal, () => {
+      req.destroy();
+      if (fileStream) fileStream.destroy();
+      reject(new Error('Upload cancelado'));
+    });
+    const resolve = (value) => { detachAbort(); resolvePromise(value); };
+    const reject = (error) => { detachAbort(); rejectPromise(error); };
 
-    // FASE 1: Baixar vídeos para arquivos temporários (STREAMING - não RAM)
-    console.log('📥 [ZIP] Fase 1: Download de vídeos via streaming...');
-    const downloadResults = [];
-    const batchSize = 5;
-    
-    for (let i = 0; i < videos.length; i += batchSize) {
-      const batch = videos.slice(i, i + batchSize);
-      console.log(`📦 [ZIP] Batch ${Math.floor(i/batchSize) + 1}: vídeos ${i + 1}-${Math.min(i + batchSize, videos.length)}`);
-      
-      const batchPromises = batch.map(async (video, idx) => {
-        const tempPath = path.join('/tmp', `video_${Date.now()}_${i + idx}.mp4`);
-        try {
-          await downloadToFile(video.r2SignedUrl, tempPath, 300000);
-          const stats = await fs.stat(tempPath);
-          tempFiles.push(tempPath);
-          console.log(`✅ [ZIP] ${video.filename} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
-          return { success: true, video, tempPath, size: stats.size };
-        } catch (error) {
-          console.error(`❌ [ZIP] ${video.filename}: ${error.message}`);
-          await fs.unlink(tempPath).catch(() => {});
-          return { success: false, video, error: error.message };
+    const url = new URL(requestUrl);
+    const protocol = url.protocol === 'https:' ? https : http;
+    const fileStream = filePath && sizeBytes > 0
+      ? fsSync.createReadStream(filePath, { start, end: start + sizeBytes - 1 })
+      : null;
+    const md5 = crypto.createHash('md5');
+
+    const headers = {};
+    if (contentType) headers['Content-Type'] = contentType;
+    if (filePath) headers['Content-Length'] = sizeBytes;
+    else if (body !== null) headers['Content-Length'] = Buffer.byteLength(body);
+
+    const requestOptions = {
+      method,
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: url.pathname + url.search,
+      headers,
+      timeout: timeoutMs,
+      rejectUnauthorized: TLS_REJECT_UNAUTHORIZED,
+      agent: false
+    };
+
+    const req = protocol.request(requestOptions, (res) => {
+      let responseData = '';
+      res.on('data', chunk => responseData += chunk);
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: responseData, md5: md5.digest('hex') });
+        } else {
+          const error = new Error(`${method} falhou: ${res.statusCode} - ${responseData}`);
+          error.statusCode = res.statusCode;
+          reject(error);
         }
       });
-      
-      const results = await Promise.all(batchPromises);
-      downloadResults.push(...results);
-    }
-    
-    const successfulDownloads = downloadResults.filter(r => r.success);
-    const failedDownloads = downloadResults.filter(r => !r.success);
-    
-    if (failedDownloads.length > 0) {
-      console.warn(`⚠️ [ZIP] ${failedDownloads.length} vídeos falharam`);
-    }
-    
-    if (successfulDownloads.length === 0) {
-      throw new Error('Nenhum vídeo foi baixado com sucesso');
-    }
-
-    console.log(`✅ [ZIP] ${successfulDownloads.length}/${videos.length} vídeos baixados`);
-
-    // FASE 2: Criar ZIP via streaming (archiver - não carrega tudo em RAM)
-    console.log('🔄 [ZIP] Fase 2: Criando arquivo ZIP via streaming...');
-    
-    zipPath = path.join('/tmp', `zip_${Date.now()}.zip`);
-    const zipOutput = fsSync.createWriteStream(zipPath);
-    const archive = archiver('zip', { store: true }); // Sem compressão = mais rápido
-    
-    archive.pipe(zipOutput);
-    
-    for (const { video, tempPath } of successfulDownloads) {
-      const cleanFilename = video.filename.replace(/[^a-zA-Z0-9._-]/g, '_');
-      archive.file(tempPath, { name: cleanFilename });
-    }
-    
-    await archive.finalize();
-    
-    // Aguardar o arquivo ser escrito completamente
-    await new Promise((resolve, reject) => {
-      zipOutput.on('close', resolve);
-      zipOutput.on('error', reject);
     });
-    
-    const zipStats = await fs.stat(zipPath);
-    const zipSizeBytes = zipStats.size;
-    console.log(`✅ [ZIP] ZIP criado: ${(zipSizeBytes / 1024 / 1024).toFixed(2)} MB`);
-
-    // FASE 3: Upload para R2 via streaming
-    console.log('☁️ [ZIP] Fase 3: Upload para R2 via streaming...');
-    
-    // Sanitizar nome do arquivo para evitar problemas com caracteres especiais
-    const sanitizedProductCode = (productCode || 'PROJETO').replace(/[^a-zA-Z0-9_-]/g, '_');
-    const zipFilename = `${sanitizedProductCode}_${projectId}_${Date.now()}.zip`;
-    const r2Path = `zips/${userId}/${zipFilename}`;
-    
-    // Gerar signed URL usando AWS v4
-    const region = 'auto';
-    const service = 's3';
-    const bucket = r2Config.bucketName;
-    const host = `${r2Config.accountId}.r2.cloudflarestorage.com`;
-    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
-    const dateStamp = amzDate.slice(0, 8);
-    
-    // URI path - sem encoding para canonical request interno
-    const canonicalUri = `/${bucket}/${r2Path}`;
-    
-    // Credential e query params
-    const credential = `${r2Config.accessKeyId}/${dateStamp}/${region}/${service}/aws4_request`;
-    
-    // Query params DEVEM estar ordenados alfabeticamente para AWS v4
-    const sortedParams = [
-      ['X-Amz-Algorithm', 'AWS4-HMAC-SHA256'],
-      ['X-Amz-Credential', credential],
-      ['X-Amz-Date', amzDate],
-      ['X-Amz-Expires', '3600'],
-      ['X-Amz-SignedHeaders', 'host']
-    ].sort((a, b) => a[0].localeCompare(b[0]));
-    
-    const queryString = sortedParams.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
-    
-    // Canonical request para assinatura
-    const canonicalRequest = `PUT\n${canonicalUri}\n${queryString}\nhost:${host}\n\nhost\nUNSIGNED-PAYLOAD`;
-    const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
-    const stringToSign = `AWS4-HMAC-SHA256\n${amzDate}\n${credentialScope}\n${crypto.createHash('sha256').update(canonicalRequest).digest('hex')}`;
-    
-    // Derivar signing key
-    const kDate = crypto.createHmac('sha256', `AWS4${r2Config.secretAccessKey}`).update(dateStamp).digest();
-    const kRegion = crypto.createHmac('sha256', kDate).update(region).digest();
-    const kService = crypto.createHmac('sha256', kRegion).update(service).digest();
-    const kSigning = crypto.createHmac('sha256', kService).update('aws4_request').digest();
-    const signature = crypto.createHmac('sha256', kSigning).update(stringToSign).digest('hex');
-    
-    // URL final para upload - usar mesmo encoding da canonical request
-    const uploadUrl = `https://${host}${canonicalUri}?${queryString}&X-Amz-Signature=${signature}`;
-
-    // STREAMING: Upload do arquivo ZIP via stream com retry
-    await uploadZipToR2WithRetry(uploadUrl, zipPath, zipSizeBytes);
-
-    const publicUrl = `https://pub-93cb8cc35ae64cf69f0ea248148ad1b2.r2.dev/${bucket}/${r2Path}`;
-    console.log(`✅ [ZIP] Upload R2 completo: ${r2Path}`);
-
-    // FASE 4: Notificar webhook
-    if (notificationWebhook) {
-      console.log('📧 [ZIP] Fase 4: Enviando notificação...');
-      try {
-        await sendWebhookNotification(notificationWebhook, {
-          jobId,
-          projectId,
-          userId,
-          zipPath: r2Path,
-          zipPublicUrl: publicUrl,
-          zipSizeBytes,
-          videosCount: successfulDownloads.length,
-          processingTimeMs: Date.now() - startTime
-        });
-        console.log('✅ [ZIP] Notificação enviada');
-      } catch (notifyError) {
-        console.error('❌ [ZIP] Erro ao notificar:', notifyError.message);
-      }
-    }
 
-    // FASE 5: Limpar arquivos temporários
-    console.log('🧹 [ZIP] Fase 5: Limpando arquivos temporários...');
-    for (const tempFile of tempFiles) {
-      await fs.unlink(tempFile).catch(() => {});
-    }
-    await fs.unlink(zipPath).catch(() => {});
-
-    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`🎉 [ZIP] Concluído em ${processingTime}s`);
+    req.on('error', (error) => {
+      if (fileStream) fileStream.destroy();
+      reject(error);
+    });
 
-    res.json({
-      success: true,
-      zipPath: r2Path,
-      zipPublicUrl: publicUrl,
-      zipSizeBytes,
-      videosCount: successfulDownloads.length,
-      processingTimeSeconds: parseFloat(processingTime)
+    req.on('timeout', () => {
+      req.destroy();
+      if (fileStream) fileStream.destroy();
+      reject(new Error('Timeout no upload para o storage'));
     });
 
-  } catch (error) {
-    console.error('❌ [ZIP] Erro fatal:', error);
-    
-    // Limpar arquivos temporários em caso de erro
-    for (const tempFile of tempFiles) {
-      await fs.unlink(tempFile).catch(() => {});
-    }
-    if (zipPath) await fs.unlink(zipPath).catch(() => {});
-    
-    // Notificar falha
-    if (req.body.notificationWebhook) {
-      try {
-        await sendWebhookNotification(req.body.notificationWebhook, {
-          jobId: req.body.jobId,
-          projectId: req.body.projectId,
-          userId: req.body.userId,
-          error: error.message
-        });
-      } catch (e) {
-        console.error('❌ [ZIP] Erro ao notificar falha:', e);
-      }
+    if (!fileStream) {
+      if (body !== null) md5.update(body);
+      req.end(body !== null ? body : undefined);
+      return;
     }
 
-    res.status(500).json({
-      success: false,
-      error: error.message
+    let sentBytes = 0;
+    fileStream.on('data', (chunk) => {
+      md5.update(chunk);
+      sentBytes += chunk.length;
+      if (onProgress) onProgress(sentBytes, sizeBytes);
     });
-  }
-});
+
+    // STREAMING: Pipe do arquivo direto para o request
+    fileStream.pipe(req);
+
+    fileStream.on('error', (err) => {
+      req.destroy();
+      reject(err);
+    });
+  });
+}
 
 // ============================================
-// HELPER: Upload ZIP para R2 via streaming com retry
+// HELPER: PUT de arquivo em URL presigned (R2/S3) via streaming com retry
 // ============================================
-async function uploadZipToR2WithRetry(uploadUrl, zipPath, zipSizeBytes, attempt = 1) {
+// options.start envia só um trecho do arquivo (partes do multipart); options.body envia um Buffer no lugar do arquivo
+async function uploadPresignedWithRetry(uploadUrl, filePath, sizeBytes, options = {}, attempt = 1) {
+  const { contentType = 'application/octet-stream', signal = null, onProgress = null, start = 0, body = null, timeoutMs } = options;
   const maxRetries = 3;
-  
-  try {
-    await new Promise((resolve, reject) => {
-      const url = new URL(uploadUrl);
-      const fileStream = fsSync.createReadStream(zipPath);
-      
-      const options = {
-        method: 'PUT',
-        hostname: url.hostname,
-        path: url.pathname + url.search,
-        headers: {
-          'Content-Type': 'application/zip',
-          'Content-Length': zipSizeBytes
-        },
-        timeout: 3600000, // 60 minutos
-        rejectUnauthorized: false,
-        requestCert: false,
-        agent: false
-      };
-      
-      const req = https.request(options, (res) => {
-        let responseData = '';
-        res.on('data', chunk => responseData += chunk);
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            console.log(`✅ [ZIP] Upload R2 sucesso: ${res.statusCode}`);
-            resolve();
-          } else {
-            console.error(`❌ [ZIP] Upload R2 falhou: ${res.statusCode}`, responseData);
-            reject(new Error(`Upload falhou: ${res.statusCode} - ${responseData}`));
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        fileStream.destroy();
-        console.error(`❌ [ZIP] Erro de rede no upload (tentativa ${attempt}/${maxRetries}):`, error.message);
-        reject(error);
-      });
 
-      req.on('timeout', () => {
-        req.destroy();
-        fileStream.destroy();
-        reject(new Error('Timeout no upload para R2'));
-      });
-      
-      // STREAMING: Pipe do arquivo direto para o request
-      fileStream.pipe(req);
-      
-      fileStream.on('error', (err) => {
-        req.destroy();
-        reject(err);
-      });
+  try {
+    const response = await sendPresignedRequest(uploadUrl, {
+      method: 'PUT',
+      filePath,
+      start,
+      sizeBytes,
+      body,
+      contentType,
+      signal,
+      onProgress,
+      timeoutMs
     });
+    logger.info(`✅ [STORAGE] Upload sucesso: ${response.statusCode}`);
+    return response;
   } catch (error) {
-    if (attempt < maxRetries && (error.code === 'EPROTO' || error.code === 'ECONNRESET' || error.message.includes('Timeout'))) {
-      console.log(`🔄 [ZIP] Tentando novamente upload (${attempt + 1}/${maxRetries})...`);
+    if (signal && signal.aborted) throw error;
+    logger.error(`❌ [STORAGE] Upload falhou (tentativa ${attempt}/${maxRetries}):`, error.message);
+    const retryable = error.code === 'EPROTO' || error.code === 'ECONNRESET' || error.message.includes('Timeout') ||
+      error.statusCode === 429 || error.statusCode >= 500;
+    if (attempt < maxRetries && retryable) {
+      logger.info(`🔄 [STORAGE] Tentando novamente upload (${attempt + 1}/${maxRetries})...`);
       await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
-      return uploadZipToR2WithRetry(uploadUrl, zipPath, zipSizeBytes, attempt + 1);
+      return uploadPresignedWithRetry(uploadUrl, filePath, sizeBytes, options, attempt + 1);
     }
     throw error;
   }
 }
 
+// ============================================
+// WEBHOOKS: Entregas assinadas com retry
+// ============================================
+// Qualquer endpoint de job aceita "notificationWebhook". Eventos (envelope { id, type, createdAt, data: { job } }):
+//   job.progress  - início de cada fase (uma tentativa)
+//   job.completed / job.failed - fim do job (retry com backoff exponencial)
+// Assinatura: X-Webhook-Signature: t=<unix>,v1=<hex HMAC-SHA256("<t>.<corpo>")>
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_DELIVERY_HISTORY = parseInt(process.env.WEBHOOK_DELIVERY_HISTORY) || 500;
+
+const webhookDeliveries = new Map();
+
+function watchJobWebhooks(job) {
+  job.events.on('phase', () => queueWebhookEvent(job, 'job.progress'));
+  job.events.on('finished', () => {
+    queueWebhookEvent(job, job.status === 'completed' ? 'job.completed' : 'job.failed');
+  });
+}
+
+function queueWebhookEvent(job, type) {
+  const payload = {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data: { job: serializeJob(job) }
+  };
+
+  createWebhookDelivery({
+    url: job.webhookUrl,
+    secret: job.webhookSecret,
+    jobId: job.id,
+    apiKeyName: job.apiKeyName,
+    event: type,
+    eventId: payload.id,
+    body: JSON.stringify(payload),
+    maxAttempts: type === 'job.progress' ? 1 : WEBHOOK_MAX_ATTEMPTS
+  });
+}
+
+function createWebhookDelivery(fields) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    ...fields,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    deliveredAt: null
+  };
+  webhookDeliveries.set(delivery.id, delivery);
+  pruneWebhookDeliveries();
+  attemptWebhookDelivery(delivery);
+  return delivery;
+}
+
+// Histórico limitado: remove as entregas finalizadas mais antigas
+function pruneWebhookDeliveries() {
+  for (const [id, delivery] of webhookDeliveries) {
+    if (webhookDeliveries.size <= WEBHOOK_DELIVERY_HISTORY) break;
+    if (delivery.status !== 'pending') webhookDeliveries.delete(id);
+  }
+}
+
+function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function attemptWebhookDelivery(delivery) {
+  const attemptNumber = delivery.attempts.length + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'X-Webhook-Id': delivery.eventId,
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Attempt': String(attemptNumber)
+  };
+  if (delivery.secret) {
+    headers['X-Webhook-Signature'] = `t=${timestamp},v1=${signWebhookBody(delivery.secret, timestamp, delivery.body)}`;
+  }
+
+  const attempt = { attempt: attemptNumber, at: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+  const startedAt = Date.now();
+  delivery.attempts.push(attempt);
+  delivery.nextAttemptAt = null;
+
+  try {
+    attempt.statusCode = await sendWebhookNotification(delivery.url, delivery.body, headers);
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date().toISOString();
+    webhookDeliveriesTotal.inc({ event: delivery.event, outcome: 'delivered' });
+    logger.info(`📧 [WEBHOOK] ${delivery.event} entregue (${delivery.jobId}, tentativa ${attemptNumber})`);
+  } catch (error) {
+    attempt.statusCode = error.statusCode || null;
+    attempt.error = error.message;
+    attempt.durationMs = Date.now() - startedAt;
+
+    // Endereço bloqueado não muda entre tentativas
+    if (attemptNumber >= delivery.maxAttempts || error.permanent) {
+      delivery.status = 'failed';
+      webhookDeliveriesTotal.inc({ event: delivery.event, outcome: 'failed' });
+      logger.error(`❌ [WEBHOOK] ${delivery.event} falhou após ${attemptNumber} tentativa(s) (${delivery.jobId}): ${error.message}`);
+      return;
+    }
+
+    webhookDeliveriesTotal.inc({ event: delivery.event, outcome: 'retry' });
+    const delayMs = WEBHOOK_RETRY_BASE_MS * 2 ** (attemptNumber - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    logger.warn(`⚠️ [WEBHOOK] ${delivery.event} falhou (${error.message}), nova tentativa em ${delayMs / 1000}s`);
+    setTimeout(() => attemptWebhookDelivery(delivery), delayMs);
+  }
+}
+
+function serializeWebhookDelivery(delivery) {
+  return {
+    id: delivery.id,
+    jobId: delivery.jobId,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    url: delivery.url,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    maxAttempts: delivery.maxAttempts,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.nextAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    redeliveryOf: delivery.redeliveryOf || null,
+    payload: JSON.parse(delivery.body)
+  };
+}
+
+// Sem auth configurada, chaves admin ou dona do job
+function canAccessDelivery(req, delivery) {
+  return !req.apiKey || req.apiKey.admin || delivery.apiKeyName === req.apiKey.name;
+}
+
+// Valida "notificationWebhook" antes de criar o job (mesma política de hosts dos downloads)
+function validateNotificationWebhook(req, res, next) {
+  const { values, errors } = validateSchema(req.body || {}, { notificationWebhook: { type: 'url' } });
+  if (errors.length > 0 || (req.body.notificationWebhook || '').startsWith(STORAGE_URL_PREFIX)) {
+    return rejectInvalidParams(req, res, [{ field: 'notificationWebhook', message: 'notificationWebhook must be a valid http(s) URL' }]);
+  }
+  if (values.notificationWebhook) {
+    try {
+      assertFetchAllowed(new URL(values.notificationWebhook));
+    } catch (error) {
+      return rejectInvalidParams(req, res, [{
+        field: 'notificationWebhook',
+        message: 'notificationWebhook host is not allowed (private address or not in FETCH_ALLOWED_HOSTS)'
+      }]);
+    }
+  }
+  next();
+}
+
+app.get('/webhooks/deliveries', requireApiKey, (req, res) => {
+  const { jobId, status, event } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  const result = [...webhookDeliveries.values()]
+    .filter(delivery => canAccessDelivery(req, delivery))
+    .filter(delivery => !jobId || delivery.jobId === jobId)
+    .filter(delivery => !status || delivery.status === status)
+    .filter(delivery => !event || delivery.event === event)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(serializeWebhookDelivery);
+
+  res.json({ deliveries: result, count: result.length });
+});
+
+app.get('/webhooks/deliveries/:id', requireApiKey, (req, res) => {
+  const delivery = webhookDeliveries.get(req.params.id);
+  if (!delivery || !canAccessDelivery(req, delivery)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json(serializeWebhookDelivery(delivery));
+});
+
+// Reenvia o mesmo evento (mesmo id/corpo, nova assinatura) como uma nova entrega
+app.post('/webhooks/deliveries/:id/redeliver', requireApiKey, (req, res) => {
+  const delivery = webhookDeliveries.get(req.params.id);
+  if (!delivery || !canAccessDelivery(req, delivery)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  if (delivery.status === 'pending') {
+    return res.status(409).json({ error: 'Delivery is still pending' });
+  }
+
+  const redelivery = createWebhookDelivery({
+    url: delivery.url,
+    secret: delivery.secret,
+    jobId: delivery.jobId,
+    apiKeyName: delivery.apiKeyName,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    body: delivery.body,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    redeliveryOf: delivery.id
+  });
+
+  res.status(202).json(serializeWebhookDelivery(redelivery));
+});
+
 // ============================================
 // HELPER: Enviar notificação webhook
 // ============================================
-async function sendWebhookNotification(webhookUrl, payload) {
+// Resolve com o status HTTP (2xx); rejeita com error.statusCode nos demais.
+// O IP resolvido é validado na conexão, como nos downloads (DNS rebinding)
+async function sendWebhookNotification(webhookUrl, body, headers = {}) {
   const url = new URL(webhookUrl);
-  const body = JSON.stringify(payload);
-  
+  assertFetchAllowed(url);
+  const protocol = url.protocol === 'https:' ? https : http;
+
   return new Promise((resolve, reject) => {
     const options = {
-      hostname: url.hostname,
-      path: url.pathname,
+      hostname: url.hostname.replace(/^\[|\]$/g, ''),
+      port: url.port || undefined,
+      lookup: FETCH_ALLOW_PRIVATE_IPS ? undefined : guardedLookup,
+      path: url.pathname + url.search,
       method: 'POST',
       headers: {
+        ...headers,
         'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(body)
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'video-normalizer-webhooks'
       },
-      timeout: 10000
+      timeout: WEBHOOK_TIMEOUT_MS
     };
 
-    const req = https.request(options, (res) => {
+    const req = protocol.request(options, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(data);
+          resolve(res.statusCode);
         } else {
-          reject(new Error(`Status ${res.statusCode}: ${data}`));
+          const error = new Error(`Status ${res.statusCode}: ${data.substring(0, 500)}`);
+          error.statusCode = res.statusCode;
+          reject(error);
         }
       });
     });
@@ -716,31 +6009,60 @@ async function sendWebhookNotification(webhookUrl, payload) {
 // ============================================
 // LIMPEZA PERIÓDICA DE ARQUIVOS TEMPORÁRIOS
 // ============================================
+// Remove sobras de jobs que não limparam (ex.: processo reiniciado). Nada com idade menor que a de um job
+// em execução (JOB_TIMEOUT_MS) ou de uma saída ainda disponível para download (JOB_RETENTION_MS)
+const TEMP_SWEEP_MAX_AGE_MS = Math.max(JOB_TIMEOUT_MS, JOB_RETENTION_MS);
+
+// Entradas de /tmp (primeiro nível) em uso por jobs ativos ou retidos: temporários e saídas para download
+function jobHeldTempEntries() {
+  const held = new Set();
+  for (const job of jobs.values()) {
+    const paths = [...job.tempFiles, ...(job.outputFile ? [job.outputFile.path] : [])];
+    for (const filePath of paths) {
+      const relative = path.relative('/tmp', filePath);
+      if (relative && !relative.startsWith('..')) held.add(relative.split(path.sep)[0]);
+    }
+  }
+  return held;
+}
+
 setInterval(async () => {
   try {
     const tmpFiles = await fs.readdir('/tmp');
     const now = Date.now();
-    const maxAge = 60 * 60 * 1000; // 1 hora
+    const held = jobHeldTempEntries();
 
     for (const file of tmpFiles) {
-      if (file.startsWith('normalized_') || file.startsWith('upload_') || 
+      if (file.startsWith('normalized_') || file.startsWith('upload_') ||
           file.startsWith('input_') || file.startsWith('compressed_') ||
-          file.startsWith('video_') || file.startsWith('zip_')) {
+          file.startsWith('video_') || file.startsWith('zip_') ||
+          file.startsWith('concat_') || file.startsWith('package_') ||
+          file.startsWith('thumbs_') || file.startsWith('asset_') ||
+          file.startsWith('subtitle_') || file.startsWith('clips_')) {
+        if (held.has(file)) continue;
         const filePath = path.join('/tmp', file);
         try {
           const stats = await fs.stat(filePath);
-          if (now - stats.mtimeMs > maxAge) {
-            await fs.unlink(filePath);
-            console.log(`🗑️ Removido: ${file}`);
+          if (now - stats.mtimeMs > TEMP_SWEEP_MAX_AGE_MS) {
+            await fs.rm(filePath, { recursive: true, force: true });
+            logger.info(`🗑️ Removido: ${file}`);
           }
         } catch (e) {}
       }
     }
+
+    // Expirar jobs finalizados (e seus arquivos de saída)
+    for (const job of jobs.values()) {
+      if (!isJobActive(job) && job.finishedAt && now - new Date(job.finishedAt).getTime() > JOB_RETENTION_MS) {
+        await removeJobOutput(job);
+        jobs.delete(job.id);
+      }
+    }
   } catch (error) {
-    console.error('Erro na limpeza de arquivos:', error);
+    logger.error('Erro na limpeza de arquivos:', error);
   }
 }, 30 * 60 * 1000);
 
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🎬 Video Normalizer v2.0.0 (streaming) running on port ${PORT}`);
+  logger.info(`🎬 Video Normalizer v2.0.0 (streaming) running on port ${PORT}`);
 });